@@ -0,0 +1,448 @@
+/*!
+ * api/forge.js - Common interface for the git hosting services.
+ * Copyright (c) 2026, Nodari Chkuaselidze (MIT License).
+ * https://github.com/nodech/hs-tools
+ */
+
+'use strict';
+
+const assert = require('assert');
+const {CLIError} = require('../errors');
+const git = require('./git-low');
+const {GitAPI} = require('./git');
+const {GithubAPI} = require('./github');
+const github = require('./github-low');
+const {GitlabAPI} = require('./gitlab');
+const {GiteaAPI} = require('./gitea');
+
+/**
+ * @enum {String}
+ */
+
+const FORGE = {
+  GITHUB: 'github',
+  GITLAB: 'gitlab',
+  GITEA: 'gitea',
+  // plain git ls-remote.
+  GIT: 'git'
+};
+
+const DEFAULT_HOSTS = {
+  'github.com': FORGE.GITHUB,
+  'gitlab.com': FORGE.GITLAB,
+  'codeberg.org': FORGE.GITEA
+};
+
+// npm repository shortcuts.
+const SHORTCUT_HOSTS = {
+  github: 'github.com',
+  gitlab: 'gitlab.com',
+  bitbucket: 'bitbucket.org'
+};
+
+// Names are strict, the url ends up in the shell for ls-remote.
+// eslint-disable-next-line max-len
+const URL_REGEX = /^(?:git\+)?(?:https?|git|ssh):\/\/(?:[\w.-]+@)?([\w.-]+)(?::\d+)?\/([\w.-]+)\/([\w.\/-]+?)(?:\.git)?\/?$/;
+const SCP_REGEX = /^[\w.-]+@([\w.-]+):([\w.-]+)\/([\w.\/-]+?)(?:\.git)?$/;
+const SHORTCUT_REGEX = /^(?:(github|gitlab|bitbucket):)?([\w.-]+)\/([\w.-]+)$/;
+
+/**
+ * @typedef {Object} Repository
+ * @property {String} host
+ * @property {String} owner
+ * @property {String} repo - can contain subgroups on gitlab.
+ * @property {String} url - https clone url.
+ */
+
+/**
+ * @typedef {Object} TagRef
+ * @property {String} tag
+ * @property {String} type - commit or tag, tag needs dereferencing.
+ * @property {String} sha
+ */
+
+/**
+ * @typedef {Object} Comparison
+ * @property {Number} total - number of commits.
+ * @property {Object[]} commits - {sha, author, subject}, newest first.
+ * @property {Object[]} prs - merged PRs {number, title}.
+ */
+
+/**
+ * Parse repository from the package.json.
+ * @param {String|Object} repository - string or {type, url}.
+ * @returns {Repository|null}
+ */
+
+function parseRepository(repository) {
+  if (repository == null)
+    return null;
+
+  let url = repository;
+
+  if (typeof repository === 'object')
+    url = repository.url;
+
+  if (typeof url !== 'string')
+    return null;
+
+  url = url.trim().split('#')[0];
+
+  let match = url.match(URL_REGEX) || url.match(SCP_REGEX);
+  let host, owner, repo;
+
+  if (match) {
+    [, host, owner, repo] = match;
+  } else {
+    match = url.match(SHORTCUT_REGEX);
+
+    if (!match)
+      return null;
+
+    host = SHORTCUT_HOSTS[match[1] || 'github'];
+    owner = match[2];
+    repo = match[3].replace(/\.git$/, '');
+  }
+
+  return {
+    host: host,
+    owner: owner,
+    repo: repo,
+    url: `https://${host}/${owner}/${repo}.git`
+  };
+}
+
+/**
+ * Forge interface.
+ */
+
+class Forge {
+  /**
+   * @param {API} api
+   * @param {GitAPI} gitAPI - for the things the API can't do.
+   */
+
+  constructor(api, gitAPI) {
+    this.api = api;
+    this.gitAPI = gitAPI;
+  }
+
+  /**
+   * @param {Repository} repository
+   * @returns {Promise<[TagRef[], Boolean]>} - tags, cached
+   */
+
+  async getTags(repository) {
+    throw new Error('Not implemented.');
+  }
+
+  /**
+   * @param {Repository} repository
+   * @returns {Promise<[String, Boolean]>} - master sha, cached
+   */
+
+  async getMaster(repository) {
+    throw new Error('Not implemented.');
+  }
+
+  /**
+   * Dereference annotated tag.
+   * @param {Repository} repository
+   * @param {String} sha - tag object sha.
+   * @returns {Promise<[String, Boolean]>} - commit sha, cached
+   */
+
+  async getTagCommit(repository, sha) {
+    return [sha, true];
+  }
+
+  /**
+   * Commits that are in the head but not in the base,
+   * uses local clone by default.
+   * @param {Repository} repository
+   * @param {String} base - commit sha.
+   * @param {String} head - commit sha.
+   * @returns {Promise<[Comparison, Boolean]>} - comparison, cached
+   */
+
+  async compare(repository, base, head) {
+    const dir = await this.gitAPI.ensureClone(repository.url, base, head);
+    const commits = await this.gitAPI.getCommits(dir, base, head);
+
+    return [summarizeCommits(commits.length, commits), false];
+  }
+
+  /**
+   * Status of the API, e.g. rate limits.
+   * @returns {String}
+   */
+
+  status() {
+    return '';
+  }
+}
+
+class GithubForge extends Forge {
+  async getTags(repository) {
+    const {owner, repo} = repository;
+    const [refs, cached] = await this.api.getRepoTags(owner, repo);
+
+    const tags = refs.map((info) => {
+      return {
+        tag: info.ref.substr('refs/tags/'.length),
+        type: info.object.type,
+        sha: info.object.sha
+      };
+    });
+
+    return [tags, cached];
+  }
+
+  async getMaster(repository) {
+    const {owner, repo} = repository;
+    const [master, cached] = await this.api.getMasterRef(owner, repo);
+
+    return [master.object.sha, cached];
+  }
+
+  async getTagCommit(repository, sha) {
+    const {owner, repo} = repository;
+    const [tag, cached] = await this.api.getTagRefInfo(owner, repo, sha);
+
+    return [tag.object.sha, cached];
+  }
+
+  async compare(repository, base, head) {
+    const {owner, repo} = repository;
+    const [json, cached] = await this.api.compare(owner, repo, base, head);
+
+    // API lists oldest first.
+    const commits = json.commits.map((info) => {
+      return {
+        sha: info.sha,
+        author: info.commit.author?.name ?? info.author?.login ?? null,
+        message: info.commit.message
+      };
+    }).reverse();
+
+    const comparison = summarizeCommits(json.total_commits, commits);
+    const {prs} = comparison;
+
+    // Merge messages don't have the titles.
+    for (let i = 0; i < prs.length; i += github.GRAPHQL_BATCH) {
+      const batch = prs.slice(i, i + github.GRAPHQL_BATCH);
+      const numbers = batch.map(pr => pr.number);
+      const infos = await this.api.getPRInfos(owner, repo, numbers);
+
+      for (const pr of batch) {
+        const [info] = infos.get(pr.number) || [];
+
+        if (info)
+          pr.title = info.title;
+      }
+    }
+
+    return [comparison, cached];
+  }
+
+  status() {
+    return this.api.rateLimit.toString();
+  }
+}
+
+class GitlabForge extends Forge {
+  async getTags(repository) {
+    const {host, owner, repo} = repository;
+    const project = `${owner}/${repo}`;
+    const [list, cached] = await this.api.getRepoTags(host, project);
+
+    const tags = list.map((info) => {
+      return {
+        tag: info.name,
+        type: 'commit',
+        sha: info.commit.id
+      };
+    });
+
+    return [tags, cached];
+  }
+
+  async getMaster(repository) {
+    const {host, owner, repo} = repository;
+    const project = `${owner}/${repo}`;
+    const [branch, cached] = await this.api.getBranch(host, project, 'master');
+
+    return [branch.commit.id, cached];
+  }
+}
+
+class GiteaForge extends Forge {
+  async getTags(repository) {
+    const {host, owner, repo} = repository;
+    const [list, cached] = await this.api.getRepoTags(host, owner, repo);
+
+    const tags = list.map((info) => {
+      return {
+        tag: info.name,
+        type: 'commit',
+        sha: info.commit.sha
+      };
+    });
+
+    return [tags, cached];
+  }
+
+  async getMaster(repository) {
+    const {host, owner, repo} = repository;
+    const [branch, cached] =
+      await this.api.getBranch(host, owner, repo, 'master');
+
+    return [branch.commit.id, cached];
+  }
+}
+
+/**
+ * Fallback for unknown hosts, uses git ls-remote.
+ */
+
+class GitForge extends Forge {
+  async getTags(repository) {
+    const [info, cached] = await this.api.lsRemote(repository.url);
+
+    // Annotated tags are followed by the peeled ^{} hash.
+    const tags = Object.entries(info.tags).map(([tag, hashes]) => {
+      return {
+        tag: tag,
+        type: 'commit',
+        sha: hashes[hashes.length - 1]
+      };
+    });
+
+    return [tags, cached];
+  }
+
+  async getMaster(repository) {
+    const [info, cached] = await this.api.lsRemote(repository.url);
+    const master = info.master || info.head;
+
+    if (!master)
+      throw new this.api.Error(
+        `Could not find master for ${repository.url}.`);
+
+    return [master, cached];
+  }
+}
+
+/**
+ * Pick the forge for the repository host.
+ * @property {Object} hosts - host -> FORGE
+ */
+
+class Forges {
+  constructor(options) {
+    assert(typeof options === 'object');
+
+    this.Error = options.Error || CLIError;
+    this.hosts = {...DEFAULT_HOSTS};
+
+    if (options.forges != null) {
+      assert(typeof options.forges === 'object');
+
+      for (const [host, type] of Object.entries(options.forges)) {
+        if (!Object.values(FORGE).includes(type))
+          throw new this.Error(`Unknown forge "${type}" for ${host}.`);
+
+        this.hosts[host] = type;
+      }
+    }
+
+    const common = {
+      Error: options.Error,
+      cache: options.cache,
+      cwd: options.cwd
+    };
+
+    this.githubAPI = new GithubAPI({
+      ...common,
+      ghuser: options.ghuser,
+      ghkey: options.ghkey,
+      ghconc: options.ghconc,
+      ghapi: options.ghapi
+    });
+
+    this.gitlabAPI = new GitlabAPI({
+      ...common,
+      gitlabkey: options.gitlabkey,
+      conc: options.ghconc
+    });
+
+    this.giteaAPI = new GiteaAPI({
+      ...common,
+      giteakey: options.giteakey,
+      conc: options.ghconc
+    });
+
+    this.gitAPI = new GitAPI(common);
+
+    this.forges = {
+      [FORGE.GITHUB]: new GithubForge(this.githubAPI, this.gitAPI),
+      [FORGE.GITLAB]: new GitlabForge(this.gitlabAPI, this.gitAPI),
+      [FORGE.GITEA]: new GiteaForge(this.giteaAPI, this.gitAPI),
+      [FORGE.GIT]: new GitForge(this.gitAPI, this.gitAPI)
+    };
+  }
+
+  /**
+   * @param {Repository} repository
+   * @returns {String} - FORGE
+   */
+
+  getType(repository) {
+    return this.hosts[repository.host] || FORGE.GIT;
+  }
+
+  /**
+   * @param {Repository} repository
+   * @returns {Forge}
+   */
+
+  get(repository) {
+    return this.forges[this.getType(repository)];
+  }
+}
+
+/**
+ * @param {Number} total
+ * @param {Object[]} commits - {sha, author, message}, newest first.
+ * @returns {Comparison}
+ */
+
+function summarizeCommits(total, commits) {
+  const prs = [];
+  const list = [];
+
+  for (const {sha, author, message} of commits) {
+    const [subject, ...body] = message.split('\n');
+    const match = subject.match(git.MERGE_REGEX);
+
+    list.push({ sha, author, subject });
+
+    if (!match)
+      continue;
+
+    // Merge commits usually have the PR title in the body.
+    const title = body.map(line => line.trim()).find(line => line) ?? subject;
+
+    prs.push({
+      number: Number(match[1]),
+      title: title
+    });
+  }
+
+  return { total, commits: list, prs };
+}
+
+exports.FORGE = FORGE;
+exports.parseRepository = parseRepository;
+exports.Forge = Forge;
+exports.Forges = Forges;
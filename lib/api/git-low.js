@@ -14,6 +14,7 @@ const exec = util.promisify(childProcess.exec);
 const git = exports;
 
 git.VERSION_REGEX = /^v\d+\.\d+\.\d+(-rc\.\d+)?$/;
+git.MERGE_REGEX = /^\s*?Merge.*#(\d+) .*$/i;
 
 /**
  * Clones the repository
@@ -28,6 +29,81 @@ git.cloneRepo = function cloneRepo(repo, dest) {
   return exec(cmd);
 };
 
+/**
+ * Mirror the repository without the working tree.
+ * @param {String} repo - repository url.
+ * @param {String} dest - where to store.
+ * @returns {Promise}
+ */
+
+git.cloneBare = function cloneBare(repo, dest) {
+  const cmd = `git clone --quiet --bare ${repo} ${dest}`;
+
+  return exec(cmd);
+};
+
+/**
+ * Fetch branches and tags of the bare clone from the origin.
+ * @param {String} dir - repository directory
+ * @returns {Promise}
+ */
+
+git.fetchRefs = function fetchRefs(dir) {
+  const refspec = '+refs/heads/*:refs/heads/*';
+  const cmd = `git fetch --quiet --tags origin '${refspec}'`;
+
+  return exec(cmd, {
+    cwd: dir
+  });
+};
+
+/**
+ * Check if the commit exists, rejects otherwise.
+ * @param {String} dir - repository directory
+ * @param {String} ref
+ * @returns {Promise}
+ */
+
+git.hasCommit = function hasCommit(dir, ref) {
+  const cmd = `git cat-file -e ${ref}^{commit}`;
+
+  return exec(cmd, {
+    cwd: dir
+  });
+};
+
+/**
+ * Print file contents at the ref.
+ * @param {String} dir - repository directory
+ * @param {String} ref
+ * @param {String} file - path in the repository.
+ * @returns {Promise}
+ */
+
+git.catFile = function catFile(dir, ref, file) {
+  const cmd = `git cat-file blob ${ref}:${file}`;
+
+  return exec(cmd, {
+    cwd: dir
+  });
+};
+
+/**
+ * Extract the tree of the ref to the directory.
+ * @param {String} dir - repository directory
+ * @param {String} ref
+ * @param {String} dest - existing directory.
+ * @returns {Promise}
+ */
+
+git.archive = function archive(dir, ref, dest) {
+  const cmd = `git archive --format=tar ${ref} | tar -x -C ${dest}`;
+
+  return exec(cmd, {
+    cwd: dir
+  });
+};
+
 /**
  * Checkout specific tag or branch
  * @param {String} dir - repository directory
@@ -143,7 +219,7 @@ git.lsRemote = async function lsRemote(remote) {
 git.isGitUrl = function isGitUrl(url) {
   const gitUrl = GitUrl.fromURL(url);
 
-  if (gitUrl.isNull())
+  if (gitUrl.isPartial())
     return false;
 
   return true;
@@ -275,7 +351,8 @@ class GitUrl {
   fromNPMUrl(pkgURL) {
     assert(typeof pkgURL === 'string');
     const [url, extra] = pkgURL.split('#');
-    const regex = /^(?:git\+)?https:\/\/([^\/]+)\/([^\/]+)\/(.*?)(.git)?$/;
+    // eslint-disable-next-line max-len
+    const regex = /^(?:git\+)?(?:https|ssh|git):\/\/(?:[^@\/]+@)?([^\/]+)\/([^\/]+)\/(.*?)(.git)?$/;
 
     const match = url.match(regex);
 
@@ -303,8 +380,9 @@ class GitUrl {
     if (url.startsWith('https'))
       return this.fromNPMUrl(url);
 
+    const [remote, extra] = url.split('#');
     const regex = /^git@([^:]+):([^\/]+)\/([^\.]+)(\.git)?$/;
-    const match = url.match(regex);
+    const match = remote.match(regex);
 
     if (!match)
       return this;
@@ -315,10 +393,26 @@ class GitUrl {
     this.server = match[1];
     this.owner = match[2];
     this.repository = match[3];
+    this.extra = GitUrlExtra.fromExtra(extra);
 
     return this;
   }
 
+  /**
+   * npm style or SSH remote url.
+   * @param {String} url
+   * @returns {GitUrl}
+   */
+
+  fromURL(url) {
+    assert(typeof url === 'string');
+
+    if (/^[^\/@:]+@[^\/:]+:/.test(url))
+      return this.fromRemoteURL(url);
+
+    return this.fromNPMUrl(url);
+  }
+
   toBareURL(scheme) {
     const pre = scheme ? `${scheme}://` : '';
 
@@ -358,6 +452,10 @@ class GitUrl {
   static fromRemoteURL(url) {
     return new this().fromRemoteURL(url);
   }
+
+  static fromURL(url) {
+    return new this().fromURL(url);
+  }
 }
 
 git.GitUrl = GitUrl;
@@ -7,12 +7,21 @@
 'use strict';
 
 const assert = require('assert');
+const path = require('path');
+const fs = require('bfile');
 const {API} = require('./api');
 const git = require('./git-low');
 const {T_HOUR} = require('../cache');
+const {CACHE_DIR} = require('../common');
 
 const GIT_CACHE = 'git';
-const GIT_LS_REMOTE = name => `ls-remote-${name}.json`;
+const GIT_LS_REMOTE = (name) => {
+  return `ls-remote-${name.replace(/[^\w.-]+/g, '-')}.json`;
+};
+const GIT_CLONES = 'repos';
+const GIT_CLONE_DIR = (url) => {
+  return url.replace(/^\w+:\/\//, '').replace(/[^\w.-]+/g, '-');
+};
 
 class GitAPI extends API {
   constructor(options) {
@@ -56,15 +65,21 @@ class GitAPI extends API {
   /**
    * Get commit hash and message
    * No Cache
+   * @param {String} [range] - revision range, e.g. v1.0.0..v2.0.0
    * @returns {Promise<Map<String, String>}
    */
 
-  async getMiniLog() {
+  async getMiniLog(range) {
     // Make sure message is always last.
     const format = '%H|%s';
+    const args = [];
+
+    if (range)
+      args.push(range);
 
     const stdout = await this.exec(git.log, this.cwd, {
-      pretty: format
+      pretty: format,
+      args: args
     });
 
     const map = new Map();
@@ -73,7 +88,9 @@ class GitAPI extends API {
       if (!line)
         continue;
 
-      const [hash, message] = line.split('|');
+      const index = line.indexOf('|');
+      const hash = line.substring(0, index);
+      const message = line.substring(index + 1);
 
       map.set(hash, message);
     }
@@ -84,13 +101,14 @@ class GitAPI extends API {
   /**
    * Get merge commits
    * No Cache
+   * @param {String} [range] - revision range, e.g. v1.0.0..v2.0.0
    * @returns {Promise<Set<String>}
    */
 
-  async getMergeCommits() {
+  async getMergeCommits(range) {
     const stdout = await this.exec(git.revList, this.cwd, {
       merges: true,
-      from: 'HEAD'
+      from: range || 'HEAD'
     });
 
     const set = new Set();
@@ -166,22 +184,24 @@ class GitAPI extends API {
 
   /**
    * Get remote info
+   * @param {String} [remote=this.remote] - remote name or url.
    * @returns {Promise<[Object, Boolean]>} - remote object, cache?
    */
 
-  async lsRemote() {
+  async lsRemote(remote = this.remote) {
     const cacheName = GIT_CACHE;
-    const fileName = GIT_LS_REMOTE(this.remote);
+    const fileName = GIT_LS_REMOTE(remote);
 
     const cached = await this.cache.getCache(cacheName, fileName);
 
     if (cached != null)
       return [JSON.parse(cached), true];
 
-    const stdout = await this.exec(git.lsRemote, this.remote);
+    const stdout = await this.exec(git.lsRemote, remote);
 
     const items = stdout.trim().split('\n');
     const lsRemote = {
+      head: null,
       master: null,
       branches: {},   // heads
       tags: {},
@@ -192,6 +212,11 @@ class GitAPI extends API {
     for (const rawItem of items) {
       const [hash, ref] = rawItem.split('\t');
 
+      if (ref === 'HEAD') {
+        lsRemote.head = hash;
+        continue;
+      }
+
       if (ref.startsWith('refs/tags/')) {
         let version = ref.replace('refs/tags/', '');
 
@@ -236,6 +261,85 @@ class GitAPI extends API {
 
     return [lsRemote, false];
   }
+
+  /**
+   * Clone the repository to the cache directory or
+   * fetch new refs if some of the refs are not there yet.
+   * @param {String} url - repository url.
+   * @param {...String} refs - commits or tags that must exist.
+   * @returns {Promise<String>} - repository directory.
+   */
+
+  async ensureClone(url, ...refs) {
+    const dirname = path.join(this.cwd, CACHE_DIR, GIT_CLONES);
+    const dir = path.join(dirname, GIT_CLONE_DIR(url));
+
+    if (!await fs.exists(dir)) {
+      await fs.mkdirp(dirname);
+      await this.exec(git.cloneBare, url, dir);
+    }
+
+    try {
+      for (const ref of refs)
+        await git.hasCommit(dir, ref);
+    } catch (e) {
+      await this.exec(git.fetchRefs, dir);
+    }
+
+    return dir;
+  }
+
+  /**
+   * List commits of the range in the clone.
+   * @param {String} dir - repository directory.
+   * @param {String} base
+   * @param {String} head
+   * @returns {Promise<Object[]>} - {sha, author, message}, newest first.
+   */
+
+  async getCommits(dir, base, head) {
+    // Commits are separated by NUL, fields by the unit separator.
+    const stdout = await this.exec(git.log, dir, {
+      pretty: '%H%x1f%an%x1f%B%x00',
+      args: [`${base}..${head}`]
+    });
+
+    const commits = [];
+
+    for (const raw of stdout.split('\0')) {
+      if (!raw.trim())
+        continue;
+
+      const [sha, author, message] = raw.trim().split('\x1f');
+      commits.push({ sha, author, message: message.trim() });
+    }
+
+    return commits;
+  }
+
+  /**
+   * Read file of the ref.
+   * @param {String} dir - repository directory.
+   * @param {String} ref
+   * @param {String} file
+   * @returns {Promise<String>}
+   */
+
+  async readFile(dir, ref, file) {
+    return this.exec(git.catFile, dir, ref, file);
+  }
+
+  /**
+   * Extract files of the ref.
+   * @param {String} dir - repository directory.
+   * @param {String} ref
+   * @param {String} dest - existing directory.
+   * @returns {Promise}
+   */
+
+  async archive(dir, ref, dest) {
+    await this.exec(git.archive, dir, ref, dest);
+  }
 }
 
 exports.GitAPI = GitAPI;
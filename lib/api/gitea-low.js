@@ -0,0 +1,77 @@
+/*!
+ * api/gitea-low.js - Gitea API.
+ * Copyright (c) 2026, Nodari Chkuaselidze (MIT License).
+ * https://github.com/nodech/hs-tools
+ */
+
+'use strict';
+
+const API = exports;
+
+API.API_PATH = '/api/v1';
+
+/**
+ * Get API URL of the Gitea instance.
+ * @param {String} host
+ * @returns {String}
+ */
+
+API.getAPIURL = function getAPIURL(host) {
+  return `https://${host}${API.API_PATH}`;
+};
+
+/**
+ * Inject common options to the final object.
+ * @param {Object} object
+ * @returns {Object}
+ */
+
+API.finalize = function finalize(object) {
+  return {
+    ...object,
+    timeout: 20000,
+    headers: {
+      'Accept': 'application/json'
+    }
+  };
+};
+
+/**
+ * Get tags of the repository.
+ * @param {String} host
+ * @param {String} owner
+ * @param {String} repo
+ * @param {Number} [limit=50]
+ * @param {Number} [page=1]
+ * @returns {Object} request props.
+ */
+
+API.getRepoTags = function getRepoTags(host, owner, repo, limit = 50,
+                                       page = 1) {
+  return API.finalize({
+    method: 'GET',
+    url: `${API.getAPIURL(host)}/repos/${owner}/${repo}/tags`,
+    query: {
+      limit: limit,
+      page: page
+    }
+  });
+};
+
+/**
+ * Get branch of the repository.
+ * @param {String} host
+ * @param {String} owner
+ * @param {String} repo
+ * @param {String} branch
+ * @returns {Object} request props.
+ */
+
+API.getBranch = function getBranch(host, owner, repo, branch) {
+  const name = encodeURIComponent(branch);
+
+  return API.finalize({
+    method: 'GET',
+    url: `${API.getAPIURL(host)}/repos/${owner}/${repo}/branches/${name}`
+  });
+};
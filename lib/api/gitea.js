@@ -0,0 +1,124 @@
+/*!
+ * api/gitea.js - Cached version of the Gitea API.
+ * Copyright (c) 2026, Nodari Chkuaselidze (MIT License).
+ * https://github.com/nodech/hs-tools
+ */
+
+'use strict';
+
+const assert = require('assert');
+const {API} = require('./api');
+const gitea = require('./gitea-low');
+const {fetchCached, fetchPagesCached, collectPages} = require('../utils/fetch');
+const {Semaphore} = require('../utils/semaphore');
+const {T_HOUR} = require('../cache');
+
+const GITEA_CACHE = 'gitea';
+const REPO_TAGS = (host, owner, repo, page) => {
+  return `${host}-${owner}-${repo}-tags/page-${page}.json`;
+};
+const BRANCH = (host, owner, repo, branch) => {
+  return `${host}-${owner}-${repo}-branch-${branch}.json`;
+};
+
+class GiteaAPI extends API {
+  constructor(options) {
+    super(options);
+
+    this.key = '';
+    this.semaphore = new Semaphore(1);
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  fromOptions(options) {
+    super.fromOptions(options);
+
+    if (options.giteakey != null) {
+      assert(typeof options.giteakey === 'string');
+      this.key = options.giteakey;
+    }
+
+    if (options.conc != null) {
+      assert(typeof options.conc === 'number');
+      this.semaphore = new Semaphore(options.conc);
+    }
+  }
+
+  /**
+   * Add auth to the request props.
+   * @param {Object} opts - request props from gitea-low.
+   * @returns {Object}
+   */
+
+  request(opts) {
+    if (!this.key)
+      return opts;
+
+    return {
+      ...opts,
+      headers: {
+        ...opts.headers,
+        'Authorization': `token ${this.key}`
+      }
+    };
+  }
+
+  /**
+   * Iterate over repository tag pages.
+   * @param {String} host
+   * @param {String} owner
+   * @param {String} repo
+   * @returns {AsyncGenerator<[Object[], Boolean]>} - [tags, cached]
+   */
+
+  iterateRepoTags(host, owner, repo) {
+    const httpOpts = this.request(gitea.getRepoTags(host, owner, repo));
+
+    return fetchPagesCached(this.cache, {
+      cacheName: GITEA_CACHE,
+      fileName: page => REPO_TAGS(host, owner, repo, page),
+      expire: 24 * T_HOUR,
+      Error: this.Error,
+      semaphore: this.semaphore,
+      ...httpOpts
+    });
+  }
+
+  /**
+   * Get repository tags.
+   * @param {String} host
+   * @param {String} owner
+   * @param {String} repo
+   * @returns {Promise<[Object[], Boolean]>} - tags, cached
+   */
+
+  async getRepoTags(host, owner, repo) {
+    return collectPages(this.iterateRepoTags(host, owner, repo));
+  }
+
+  /**
+   * Get repository branch.
+   * @param {String} host
+   * @param {String} owner
+   * @param {String} repo
+   * @param {String} branch
+   * @returns {Promise<[Object, Boolean]>} - branch, cached
+   */
+
+  async getBranch(host, owner, repo, branch) {
+    const httpOpts = this.request(gitea.getBranch(host, owner, repo, branch));
+
+    return fetchCached(this.cache, {
+      cacheName: GITEA_CACHE,
+      fileName: BRANCH(host, owner, repo, branch),
+      expire: 24 * T_HOUR,
+      Error: this.Error,
+      semaphore: this.semaphore,
+      ...httpOpts
+    });
+  }
+}
+
+exports.GiteaAPI = GiteaAPI;
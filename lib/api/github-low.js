@@ -6,11 +6,29 @@
 
 'use strict';
 
+const assert = require('assert');
+
 const API_URL = 'https://api.github.com';
 const API = exports;
 
 API.API_URL = API_URL;
 
+// Max number of the PRs to request in a single GraphQL query.
+API.GRAPHQL_BATCH = 100;
+
+const PR_FRAGMENT = `
+fragment pr on PullRequest {
+  number
+  title
+  url
+  state
+  mergedAt
+  author { login }
+  labels(first: 100) { nodes { name } }
+  mergeCommit { oid }
+  headRefOid
+}`;
+
 API.USER_CONFIG = {
   username: '',
   password: ''
@@ -36,13 +54,22 @@ API.finalize = function finalize(object) {
  * Get list of Pull Requests.
  * @param {String} owner
  * @param {String} repo
+ * @param {String} [state=all] - open, closed or all.
+ * @param {Number} [perPage=100]
+ * @param {Number} [page=1]
  * @returns {Object} request props.
  */
 
-API.listPRs = function listPRs(owner, repo) {
+API.listPRs = function listPRs(owner, repo, state = 'all', perPage = 100,
+                               page = 1) {
   return API.finalize({
     method: 'GET',
-    url: `${API_URL}/repos/${owner}/${repo}/pulls`
+    url: `${API_URL}/repos/${owner}/${repo}/pulls`,
+    query: {
+      state: state,
+      per_page: perPage,
+      page: page
+    }
   });
 };
 
@@ -61,6 +88,51 @@ API.getPR = function getPR(owner, repo, pr) {
   });
 };
 
+/**
+ * GraphQL query.
+ * @param {String} query
+ * @param {Object} [variables]
+ * @returns {Object} request props.
+ */
+
+API.graphql = function graphql(query, variables = {}) {
+  return API.finalize({
+    method: 'POST',
+    url: `${API_URL}/graphql`,
+    json: {
+      query: query,
+      variables: variables
+    }
+  });
+};
+
+/**
+ * Get Pull Requests information in a single query.
+ * PRs are aliased as `pr<number>` in the response.
+ * @param {String} owner
+ * @param {String} repo
+ * @param {Number[]} prs
+ * @returns {Object} request props.
+ */
+
+API.getPRs = function getPRs(owner, repo, prs) {
+  assert(prs.length <= API.GRAPHQL_BATCH, 'Too many PRs for a query.');
+
+  const fields = prs.map((pr) => {
+    assert(Number.isSafeInteger(Number(pr)), 'PR must be a number.');
+    return `    pr${pr}: pullRequest(number: ${pr}) { ...pr }`;
+  });
+
+  const query = 'query ($owner: String!, $repo: String!) {\n'
+    + '  repository(owner: $owner, name: $repo) {\n'
+    + fields.join('\n') + '\n'
+    + '  }\n'
+    + '}\n'
+    + PR_FRAGMENT;
+
+  return API.graphql(query, { owner, repo });
+};
+
 /**
  * List labels on GH Repo.
  * @param {String} owner
@@ -90,9 +162,37 @@ API.listLabels = function listLabels(owner, repo, perPage = 100, page = 1) {
  */
 
 API.removeLabel = function removeLabel(owner, repo, labelName) {
+  const name = encodeURIComponent(labelName);
+
   return API.finalize({
     method: 'DELETE',
-    url: `${API_URL}/repos/${owner}/${repo}/labels/${labelName}`
+    url: `${API_URL}/repos/${owner}/${repo}/labels/${name}`
+  });
+};
+
+/**
+ * Update label.
+ * @param {String} owner
+ * @param {String} repo
+ * @param {String} labelName - current name of the label.
+ * @param {Object} label
+ * @param {String} label.name - new name of the label.
+ * @param {String} label.color
+ * @param {String} label.description
+ * @returns {Object} request props.
+ */
+
+API.updateLabel = function updateLabel(owner, repo, labelName, label) {
+  const name = encodeURIComponent(labelName);
+
+  return API.finalize({
+    method: 'PATCH',
+    url: `${API_URL}/repos/${owner}/${repo}/labels/${name}`,
+    json: {
+      new_name: label.name,
+      color: label.color,
+      description: label.description
+    }
   });
 };
 
@@ -123,13 +223,19 @@ API.importLabel = function importLabel(owner, repo, label) {
  * Get Tags list for a repository.
  * @param {String} owner
  * @param {String} repo
+ * @param {Number} [perPage=100]
+ * @param {Number} [page=1]
  * @returns {Object}
  */
 
-API.getRepoTags = function getRepoTags(owner, repo) {
+API.getRepoTags = function getRepoTags(owner, repo, perPage = 100, page = 1) {
   return API.finalize({
     method: 'GET',
-    url: `${API_URL}/repos/${owner}/${repo}/git/refs/tags`
+    url: `${API_URL}/repos/${owner}/${repo}/git/refs/tags`,
+    query: {
+      per_page: perPage,
+      page: page
+    }
   });
 };
 
@@ -147,6 +253,22 @@ API.getMasterRef = function getMasterRef(owner, repo) {
   });
 };
 
+/**
+ * Compare two commits, lists up to 250 commits.
+ * @param {String} owner
+ * @param {String} repo
+ * @param {String} base
+ * @param {String} head
+ * @returns {Object}
+ */
+
+API.compare = function compare(owner, repo, base, head) {
+  return API.finalize({
+    method: 'GET',
+    url: `${API_URL}/repos/${owner}/${repo}/compare/${base}...${head}`
+  });
+};
+
 /**
  * Get tag ref info
  * @param {String} owner
@@ -9,20 +9,35 @@
 const assert = require('assert');
 const {API} = require('./api');
 const github = require('./github-low');
-const {fetchCached} = require('../utils/fetch');
+const {
+  fetchCached,
+  fetchPagesCached,
+  collectPages,
+  fetchSem
+} = require('../utils/fetch');
 const {Semaphore} = require('../utils/semaphore');
+const {RateLimit} = require('../utils/ratelimit');
 const {T_HOUR} = require('../cache');
 
 const GITHUB_CACHE = 'github';
 const CACHE_PULL = (owner, repo, pr) => {
   return `${owner}-${repo}-pulls/pull-${pr}.json`;
 };
-const REPO_TAGS = (owner, repo) => {
-  return `${owner}-${repo}-tags.json`;
+const REPO_TAGS = (owner, repo, page) => {
+  return `${owner}-${repo}-tags/page-${page}.json`;
+};
+const REPO_PULLS = (owner, repo, state, page) => {
+  return `${owner}-${repo}-pulls-${state}/page-${page}.json`;
+};
+const REPO_LABELS = (owner, repo, page) => {
+  return `${owner}-${repo}-labels/page-${page}.json`;
 };
 const MASTER_REF = (owner, repo) => {
   return `${owner}-${repo}-master-ref.json`;
 };
+const COMPARE = (owner, repo, base, head) => {
+  return `${owner}-${repo}-compare/${base}...${head}.json`;
+};
 const TAG_REF_INFO = (owner, repo, hash) => {
   return `${owner}-${repo}-${hash}-sha.json`;
 };
@@ -33,6 +48,8 @@ class GithubAPI extends API {
 
     this.ghuser = '';
     this.ghkey = '';
+    this.apiURL = github.API_URL;
+    this.graphql = true;
 
     this.auth = github.USER_CONFIG;
 
@@ -41,6 +58,10 @@ class GithubAPI extends API {
 
     if (options)
       this.fromOptions(options);
+
+    this.rateLimit = new RateLimit({
+      semaphore: this.semaphore
+    });
   }
 
   fromOptions(options) {
@@ -63,12 +84,69 @@ class GithubAPI extends API {
       this.semaphore = new Semaphore(options.ghconc);
     }
 
+    if (options.ghapi != null) {
+      assert(typeof options.ghapi === 'string');
+      this.apiURL = options.ghapi.replace(/\/+$/, '');
+    }
+
+    if (options.ghgraphql != null) {
+      assert(typeof options.ghgraphql === 'boolean');
+      this.graphql = options.ghgraphql;
+    }
+
     this.auth = {
       username: this.ghuser,
       password: this.ghkey
     };
   }
 
+  /**
+   * Can we use GraphQL API? It requires the token.
+   * @returns {Boolean}
+   */
+
+  get useGraphQL() {
+    return this.graphql && this.ghkey.length > 0;
+  }
+
+  /**
+   * Add auth and API URL to the request props.
+   * @param {Object} opts - request props from github-low.
+   * @returns {Object}
+   */
+
+  request(opts) {
+    assert(opts.url.startsWith(github.API_URL));
+
+    const url = this.apiURL + opts.url.substring(github.API_URL.length);
+
+    return {
+      ...this.auth,
+      ...opts,
+      url: url
+    };
+  }
+
+  /**
+   * Add bearer auth and API URL to the GraphQL request props.
+   * @param {Object} opts - request props from github-low.
+   * @returns {Object}
+   */
+
+  requestGraphQL(opts) {
+    const httpOpts = this.request(opts);
+
+    delete httpOpts.username;
+    delete httpOpts.password;
+
+    httpOpts.headers = {
+      ...httpOpts.headers,
+      'Authorization': `bearer ${this.ghkey}`
+    };
+
+    return httpOpts;
+  }
+
   /**
    * Get Pull Request info.
    * @param {String} owner
@@ -78,10 +156,7 @@ class GithubAPI extends API {
    */
 
   async getPRInfo(owner, repo, pr) {
-    const httpOpts = {
-      ...this.auth,
-      ...github.getPR(owner, repo, pr)
-    };
+    const httpOpts = this.request(github.getPR(owner, repo, pr));
 
     return fetchCached(this.cache, {
       cacheName: GITHUB_CACHE,
@@ -89,29 +164,276 @@ class GithubAPI extends API {
       expire: json => json.merged_at ? 0 : 24 * T_HOUR,
       Error: this.Error,
       semaphore: this.semaphore,
+      rateLimit: this.rateLimit,
       ...httpOpts
     });
   }
 
   /**
-   * Get repository tags.
+   * Get Pull Requests info, uncached PRs are requested
+   * using single GraphQL query. Falls back to REST API
+   * if GraphQL endpoint is not available.
    * @param {String} owner
    * @param {String} repo
-   * @returns {Promise<Object>}
+   * @param {Number[]} prs - up to GRAPHQL_BATCH PR numbers.
+   * @returns {Promise<Map<Number, [Object, Boolean]>>} - pr -> json, cached?
    */
 
-  async getRepoTags(owner, repo) {
-    const httpOpts = {
-      ...this.auth,
-      ...github.getRepoTags(owner, repo)
-    };
+  async getPRInfos(owner, repo, prs) {
+    assert(prs.length <= github.GRAPHQL_BATCH);
 
-    return fetchCached(this.cache, {
+    const result = new Map();
+    const missing = [];
+
+    for (const pr of prs) {
+      const fileName = CACHE_PULL(owner, repo, pr);
+      const cached = await this.cache.getCache(GITHUB_CACHE, fileName);
+
+      if (cached != null) {
+        result.set(pr, [JSON.parse(cached), true]);
+        continue;
+      }
+
+      missing.push(pr);
+    }
+
+    if (missing.length === 0)
+      return result;
+
+    let infos = null;
+
+    if (this.useGraphQL)
+      infos = await this.queryPRs(owner, repo, missing);
+
+    // REST fallback.
+    if (!infos) {
+      await Promise.all(missing.map(async (pr) => {
+        result.set(pr, await this.getPRInfo(owner, repo, pr));
+      }));
+
+      return result;
+    }
+
+    for (const pr of missing) {
+      const json = infos.get(Number(pr));
+
+      if (!json) {
+        result.set(pr, [null, false]);
+        continue;
+      }
+
+      const fileName = CACHE_PULL(owner, repo, pr);
+      const expire = json.merged_at ? 0 : 24 * T_HOUR;
+      const raw = JSON.stringify(json, null, 2);
+      await this.cache.cache(GITHUB_CACHE, fileName, raw, expire);
+
+      result.set(pr, [json, false]);
+    }
+
+    return result;
+  }
+
+  /**
+   * Query PRs using GraphQL, no cache.
+   * @param {String} owner
+   * @param {String} repo
+   * @param {Number[]} prs
+   * @returns {Promise<Map<Number, Object>|null>} - REST like PR objects,
+   *   null if GraphQL endpoint is not available.
+   */
+
+  async queryPRs(owner, repo, prs) {
+    const httpOpts = this.requestGraphQL(github.getPRs(owner, repo, prs));
+
+    const json = await fetchSem(this.semaphore, {
+      Error: this.Error,
+      rateLimit: this.rateLimit,
+      ...httpOpts
+    });
+
+    // Not found, e.g. enterprise without GraphQL. Don't try it again.
+    if (json == null) {
+      this.graphql = false;
+      return null;
+    }
+
+    if (!json.data || !json.data.repository) {
+      const errors = json.errors ? json.errors : [];
+      const msg = errors.map(e => e.message).join(', ');
+      throw new this.Error(`GraphQL query failed: ${msg}`);
+    }
+
+    const infos = new Map();
+
+    for (const node of Object.values(json.data.repository)) {
+      if (!node)
+        continue;
+
+      infos.set(node.number, fromGraphQLPR(node));
+    }
+
+    return infos;
+  }
+
+  /**
+   * Iterate over all pages of the list request.
+   * @param {Object} httpOpts - request for the first page.
+   * @param {Function} fileName - (page) -> cache file name.
+   * @param {Number|Function} expire
+   * @returns {AsyncGenerator<[Object[], Boolean]>} - [items, cached]
+   */
+
+  paginate(httpOpts, fileName, expire) {
+    return fetchPagesCached(this.cache, {
       cacheName: GITHUB_CACHE,
-      fileName: REPO_TAGS(owner, repo),
-      expire: 24 * T_HOUR,
+      fileName: fileName,
+      expire: expire,
       Error: this.Error,
       semaphore: this.semaphore,
+      rateLimit: this.rateLimit,
+      ...httpOpts
+    });
+  }
+
+  /**
+   * Iterate over repository tag pages.
+   * @param {String} owner
+   * @param {String} repo
+   * @returns {AsyncGenerator<[Object[], Boolean]>} - [tags, cached]
+   */
+
+  iterateRepoTags(owner, repo) {
+    const httpOpts = this.request(github.getRepoTags(owner, repo));
+
+    return this.paginate(
+      httpOpts,
+      page => REPO_TAGS(owner, repo, page),
+      24 * T_HOUR
+    );
+  }
+
+  /**
+   * Get repository tags.
+   * @param {String} owner
+   * @param {String} repo
+   * @returns {Promise<[Object[], Boolean]>} - tags, cached
+   */
+
+  async getRepoTags(owner, repo) {
+    return collectPages(this.iterateRepoTags(owner, repo));
+  }
+
+  /**
+   * Iterate over Pull Request pages.
+   * @param {String} owner
+   * @param {String} repo
+   * @param {String} [state=all]
+   * @returns {AsyncGenerator<[Object[], Boolean]>} - [prs, cached]
+   */
+
+  iteratePRs(owner, repo, state = 'all') {
+    const httpOpts = this.request(github.listPRs(owner, repo, state));
+
+    return this.paginate(
+      httpOpts,
+      page => REPO_PULLS(owner, repo, state, page),
+      T_HOUR
+    );
+  }
+
+  /**
+   * Get list of Pull Requests.
+   * @param {String} owner
+   * @param {String} repo
+   * @param {String} [state=all]
+   * @returns {Promise<[Object[], Boolean]>} - prs, cached
+   */
+
+  async listPRs(owner, repo, state = 'all') {
+    return collectPages(this.iteratePRs(owner, repo, state));
+  }
+
+  /**
+   * Iterate over label pages.
+   * @param {String} owner
+   * @param {String} repo
+   * @returns {AsyncGenerator<[Object[], Boolean]>} - [labels, cached]
+   */
+
+  iterateLabels(owner, repo) {
+    const httpOpts = this.request(github.listLabels(owner, repo));
+
+    // We modify labels, always revalidate.
+    return this.paginate(
+      {...httpOpts, revalidate: true},
+      page => REPO_LABELS(owner, repo, page),
+      24 * T_HOUR
+    );
+  }
+
+  /**
+   * Get repository labels.
+   * @param {String} owner
+   * @param {String} repo
+   * @returns {Promise<[Object[], Boolean]>} - labels, cached
+   */
+
+  async listLabels(owner, repo) {
+    return collectPages(this.iterateLabels(owner, repo));
+  }
+
+  /**
+   * Create label.
+   * @param {String} owner
+   * @param {String} repo
+   * @param {Object} label
+   * @returns {Promise<Object>}
+   */
+
+  async createLabel(owner, repo, label) {
+    const httpOpts = this.request(github.importLabel(owner, repo, label));
+
+    return fetchSem(this.semaphore, {
+      Error: this.Error,
+      rateLimit: this.rateLimit,
+      ...httpOpts
+    });
+  }
+
+  /**
+   * Update label.
+   * @param {String} owner
+   * @param {String} repo
+   * @param {String} name - current name of the label.
+   * @param {Object} label
+   * @returns {Promise<Object>}
+   */
+
+  async updateLabel(owner, repo, name, label) {
+    const httpOpts = this.request(
+      github.updateLabel(owner, repo, name, label));
+
+    return fetchSem(this.semaphore, {
+      Error: this.Error,
+      rateLimit: this.rateLimit,
+      ...httpOpts
+    });
+  }
+
+  /**
+   * Delete label.
+   * @param {String} owner
+   * @param {String} repo
+   * @param {String} name
+   * @returns {Promise<Object>}
+   */
+
+  async deleteLabel(owner, repo, name) {
+    const httpOpts = this.request(github.removeLabel(owner, repo, name));
+
+    return fetchSem(this.semaphore, {
+      Error: this.Error,
+      rateLimit: this.rateLimit,
       ...httpOpts
     });
   }
@@ -124,10 +446,7 @@ class GithubAPI extends API {
    */
 
   async getMasterRef(owner, repo) {
-    const httpOpts = {
-      ...this.auth,
-      ...github.getMasterRef(owner, repo)
-    };
+    const httpOpts = this.request(github.getMasterRef(owner, repo));
 
     return fetchCached(this.cache, {
       cacheName: GITHUB_CACHE,
@@ -135,6 +454,7 @@ class GithubAPI extends API {
       expire: 24 * T_HOUR,
       Error: this.Error,
       semaphore: this.semaphore,
+      rateLimit: this.rateLimit,
       ...httpOpts
     });
   }
@@ -147,10 +467,7 @@ class GithubAPI extends API {
    */
 
   async getTagRefInfo(owner, repo, hash) {
-    const httpOpts = {
-      ...this.auth,
-      ...github.getTagRefInfo(owner, repo, hash)
-    };
+    const httpOpts = this.request(github.getTagRefInfo(owner, repo, hash));
 
     return fetchCached(this.cache, {
       cacheName: GITHUB_CACHE,
@@ -158,9 +475,58 @@ class GithubAPI extends API {
       expire: 24 * T_HOUR,
       Error: this.Error,
       semaphore: this.semaphore,
+      rateLimit: this.rateLimit,
       ...httpOpts
     });
   }
+
+  /**
+   * Compare commits, shas never change so it's cached forever.
+   * @param {String} owner
+   * @param {String} repo
+   * @param {String} base - commit sha
+   * @param {String} head - commit sha
+   * @returns {Promise<[Object, Boolean]>} - response, cached
+   */
+
+  async compare(owner, repo, base, head) {
+    const httpOpts = this.request(github.compare(owner, repo, base, head));
+
+    return fetchCached(this.cache, {
+      cacheName: GITHUB_CACHE,
+      fileName: COMPARE(owner, repo, base, head),
+      expire: 0,
+      Error: this.Error,
+      semaphore: this.semaphore,
+      rateLimit: this.rateLimit,
+      ...httpOpts
+    });
+  }
+}
+
+/**
+ * Convert GraphQL PR node to the REST API shape,
+ * so they can share the cache.
+ * @param {Object} node
+ * @returns {Object}
+ */
+
+function fromGraphQLPR(node) {
+  return {
+    number: node.number,
+    title: node.title,
+    html_url: node.url,
+    state: node.state === 'OPEN' ? 'open' : 'closed',
+    merged_at: node.mergedAt,
+    user: {
+      login: node.author ? node.author.login : 'ghost'
+    },
+    labels: node.labels.nodes.map(l => ({ name: l.name })),
+    merge_commit_sha: node.mergeCommit ? node.mergeCommit.oid : null,
+    head: {
+      sha: node.headRefOid
+    }
+  };
 }
 
 exports.GithubAPI = GithubAPI;
@@ -0,0 +1,78 @@
+/*!
+ * api/gitlab-low.js - Gitlab API.
+ * Copyright (c) 2026, Nodari Chkuaselidze (MIT License).
+ * https://github.com/nodech/hs-tools
+ */
+
+'use strict';
+
+const API = exports;
+
+API.API_PATH = '/api/v4';
+
+/**
+ * Get API URL of the Gitlab instance.
+ * @param {String} host
+ * @returns {String}
+ */
+
+API.getAPIURL = function getAPIURL(host) {
+  return `https://${host}${API.API_PATH}`;
+};
+
+/**
+ * Inject common options to the final object.
+ * @param {Object} object
+ * @returns {Object}
+ */
+
+API.finalize = function finalize(object) {
+  return {
+    ...object,
+    timeout: 20000,
+    headers: {
+      'Accept': 'application/json'
+    }
+  };
+};
+
+/**
+ * Get tags of the project.
+ * @param {String} host
+ * @param {String} project - namespace/project
+ * @param {Number} [perPage=100]
+ * @param {Number} [page=1]
+ * @returns {Object} request props.
+ */
+
+API.getRepoTags = function getRepoTags(host, project, perPage = 100,
+                                       page = 1) {
+  const id = encodeURIComponent(project);
+
+  return API.finalize({
+    method: 'GET',
+    url: `${API.getAPIURL(host)}/projects/${id}/repository/tags`,
+    query: {
+      per_page: perPage,
+      page: page
+    }
+  });
+};
+
+/**
+ * Get branch of the project.
+ * @param {String} host
+ * @param {String} project - namespace/project
+ * @param {String} branch
+ * @returns {Object} request props.
+ */
+
+API.getBranch = function getBranch(host, project, branch) {
+  const id = encodeURIComponent(project);
+  const name = encodeURIComponent(branch);
+
+  return API.finalize({
+    method: 'GET',
+    url: `${API.getAPIURL(host)}/projects/${id}/repository/branches/${name}`
+  });
+};
@@ -0,0 +1,124 @@
+/*!
+ * api/gitlab.js - Cached version of the Gitlab API.
+ * Copyright (c) 2026, Nodari Chkuaselidze (MIT License).
+ * https://github.com/nodech/hs-tools
+ */
+
+'use strict';
+
+const assert = require('assert');
+const {API} = require('./api');
+const gitlab = require('./gitlab-low');
+const {fetchCached, fetchPagesCached, collectPages} = require('../utils/fetch');
+const {Semaphore} = require('../utils/semaphore');
+const {T_HOUR} = require('../cache');
+
+const GITLAB_CACHE = 'gitlab';
+const PROJECT_NAME = (host, project) => {
+  return `${host}-${project.replace(/\//g, '-')}`;
+};
+const REPO_TAGS = (host, project, page) => {
+  return `${PROJECT_NAME(host, project)}-tags/page-${page}.json`;
+};
+const BRANCH = (host, project, branch) => {
+  return `${PROJECT_NAME(host, project)}-branch-${branch}.json`;
+};
+
+class GitlabAPI extends API {
+  constructor(options) {
+    super(options);
+
+    this.key = '';
+    this.semaphore = new Semaphore(1);
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  fromOptions(options) {
+    super.fromOptions(options);
+
+    if (options.gitlabkey != null) {
+      assert(typeof options.gitlabkey === 'string');
+      this.key = options.gitlabkey;
+    }
+
+    if (options.conc != null) {
+      assert(typeof options.conc === 'number');
+      this.semaphore = new Semaphore(options.conc);
+    }
+  }
+
+  /**
+   * Add auth to the request props.
+   * @param {Object} opts - request props from gitlab-low.
+   * @returns {Object}
+   */
+
+  request(opts) {
+    if (!this.key)
+      return opts;
+
+    return {
+      ...opts,
+      headers: {
+        ...opts.headers,
+        'PRIVATE-TOKEN': this.key
+      }
+    };
+  }
+
+  /**
+   * Iterate over project tag pages.
+   * @param {String} host
+   * @param {String} project - namespace/project
+   * @returns {AsyncGenerator<[Object[], Boolean]>} - [tags, cached]
+   */
+
+  iterateRepoTags(host, project) {
+    const httpOpts = this.request(gitlab.getRepoTags(host, project));
+
+    return fetchPagesCached(this.cache, {
+      cacheName: GITLAB_CACHE,
+      fileName: page => REPO_TAGS(host, project, page),
+      expire: 24 * T_HOUR,
+      Error: this.Error,
+      semaphore: this.semaphore,
+      ...httpOpts
+    });
+  }
+
+  /**
+   * Get project tags.
+   * @param {String} host
+   * @param {String} project - namespace/project
+   * @returns {Promise<[Object[], Boolean]>} - tags, cached
+   */
+
+  async getRepoTags(host, project) {
+    return collectPages(this.iterateRepoTags(host, project));
+  }
+
+  /**
+   * Get project branch.
+   * @param {String} host
+   * @param {String} project - namespace/project
+   * @param {String} branch
+   * @returns {Promise<[Object, Boolean]>} - branch, cached
+   */
+
+  async getBranch(host, project, branch) {
+    const httpOpts = this.request(gitlab.getBranch(host, project, branch));
+
+    return fetchCached(this.cache, {
+      cacheName: GITLAB_CACHE,
+      fileName: BRANCH(host, project, branch),
+      expire: 24 * T_HOUR,
+      Error: this.Error,
+      semaphore: this.semaphore,
+      ...httpOpts
+    });
+  }
+}
+
+exports.GitlabAPI = GitlabAPI;
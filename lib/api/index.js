@@ -9,15 +9,28 @@
 const git = require('./git-low');
 const npm = require('./npm-low');
 const github = require('./github-low');
+const gitlab = require('./gitlab-low');
+const gitea = require('./gitea-low');
 
 const {GitAPI} = require('./git');
 const {GithubAPI} = require('./github');
+const {GitlabAPI} = require('./gitlab');
+const {GiteaAPI} = require('./gitea');
 const {NPMAPI} = require('./npm');
+const forge = require('./forge');
 
 exports.git = git;
 exports.npm = npm;
 exports.github = github;
+exports.gitlab = gitlab;
+exports.gitea = gitea;
 
 exports.GitAPI = GitAPI;
 exports.GithubAPI = GithubAPI;
+exports.GitlabAPI = GitlabAPI;
+exports.GiteaAPI = GiteaAPI;
 exports.NPMAPI = NPMAPI;
+
+exports.FORGE = forge.FORGE;
+exports.Forges = forge.Forges;
+exports.parseRepository = forge.parseRepository;
@@ -8,8 +8,9 @@
 
 const assert = require('assert');
 
-const REGISTRY_URL = 'https://registry.npmjs.org/';
+const REGISTRY_URL = 'https://registry.npmjs.org';
 const TIMEOUT = 5000;
+const TARBALL_TIMEOUT = 60000;
 
 const NPM = exports;
 
@@ -33,6 +34,20 @@ NPM.getPkgInfo = function getPkgInfo(pkg) {
   });
 };
 
+/**
+ * Download package tarball
+ * @param {String} url - dist.tarball of the version.
+ * @returns {Object}
+ */
+
+NPM.getTarball = function getTarball(url) {
+  return {
+    method: 'GET',
+    url: url,
+    timeout: TARBALL_TIMEOUT
+  };
+};
+
 /**
  * Check if the pkgName could be npm package.
  * @param {String} pkgName
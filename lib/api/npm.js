@@ -9,7 +9,7 @@
 const assert = require('assert');
 const {API} = require('./api');
 const npm = require('./npm-low');
-const {fetchCached} = require('../utils/fetch');
+const {fetchCached, download} = require('../utils/fetch');
 const {Semaphore} = require('../utils/semaphore');
 const {T_HOUR} = require('../cache');
 
@@ -50,6 +50,35 @@ class NPMAPI extends API {
       ...httpOpts
     });
   }
+
+  /**
+   * Get package tarball, published versions never change.
+   * @param {String} pkg
+   * @param {String} version
+   * @param {String} url - dist.tarball
+   * @returns {Promise<[Buffer, Boolean]>}
+   */
+
+  async getTarball(pkg, version, url) {
+    const cacheName = 'tarballs';
+    const fileName = `${pkg}-${version}.tgz`;
+    const cached = await this.cache.getCache(cacheName, fileName);
+
+    if (cached != null)
+      return [cached, true];
+
+    const httpOpts = npm.getTarball(url);
+    const data = await this.semaphore.do(async () => {
+      return download({
+        Error: this.Error,
+        ...httpOpts
+      });
+    });
+
+    await this.cache.cache(cacheName, fileName, data, 0);
+
+    return [data, false];
+  }
 }
 
 exports.NPMAPI = NPMAPI;
@@ -0,0 +1,400 @@
+/*!
+ * brontide.js - brontide initiator for probing peers.
+ * Copyright (c) 2026, Nodari Chkuaselidze (MIT License).
+ * https://github.com/nodech/hs-tools
+ *
+ * Follows hsd/lib/net/brontide.js, we only need the outbound side.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const EventEmitter = require('events');
+const sha256 = require('bcrypto/lib/sha256');
+const aead = require('bcrypto/lib/aead');
+const hkdf = require('bcrypto/lib/hkdf');
+const secp256k1 = require('bcrypto/lib/secp256k1');
+const base32 = require('bcrypto/lib/encoding/base32');
+
+const ZERO_KEY = Buffer.alloc(32, 0x00);
+const EMPTY = Buffer.alloc(0);
+const PROTOCOL_NAME = 'Noise_XK_secp256k1_ChaChaPoly_SHA256+SVDW_Squared';
+const PROLOGUE = 'hns';
+const ROTATION_INTERVAL = 1000;
+const HEADER_SIZE = 20;
+const ACT_ONE_SIZE = 80;
+const ACT_TWO_SIZE = 80;
+const ACT_THREE_SIZE = 65;
+const MAX_MESSAGE = 8 * 1000 * 1000 + 9;
+const KEY_SIZE = 33;
+
+const ACT_NONE = 0;
+const ACT_TWO = 2;
+const ACT_DONE = 4;
+
+class CipherState {
+  constructor() {
+    this.nonce = 0;
+    this.iv = Buffer.alloc(12, 0x00);
+    this.key = ZERO_KEY;
+    this.salt = ZERO_KEY;
+  }
+
+  update() {
+    this.iv.writeUInt32LE(this.nonce, 4);
+    return this.iv;
+  }
+
+  initKey(key) {
+    this.key = key;
+    this.nonce = 0;
+    this.update();
+    return this;
+  }
+
+  initSalt(key, salt) {
+    this.salt = salt;
+    this.initKey(key);
+    return this;
+  }
+
+  rotateKey() {
+    const [salt, next] = expand(this.key, this.salt, EMPTY);
+
+    this.salt = salt;
+    this.initKey(next);
+
+    return this;
+  }
+
+  next() {
+    this.nonce += 1;
+    this.update();
+
+    if (this.nonce === ROTATION_INTERVAL)
+      this.rotateKey();
+  }
+
+  /**
+   * Encrypts in place.
+   * @param {Buffer} pt
+   * @param {Buffer} [ad]
+   * @returns {Buffer} - tag.
+   */
+
+  encrypt(pt, ad) {
+    const tag = aead.encrypt(this.key, this.iv, pt, ad);
+    this.next();
+    return tag;
+  }
+
+  /**
+   * Decrypts in place.
+   * @param {Buffer} ct
+   * @param {Buffer} tag
+   * @param {Buffer} [ad]
+   * @returns {Boolean}
+   */
+
+  decrypt(ct, tag, ad) {
+    if (!aead.decrypt(this.key, this.iv, ct, tag, ad))
+      return false;
+
+    this.next();
+    return true;
+  }
+}
+
+/**
+ * Outbound brontide stream over the socket.
+ * Data is only written after the handshake.
+ * @fires Brontide#connect - handshake is done.
+ * @fires Brontide#data
+ * @fires Brontide#error
+ */
+
+class Brontide extends EventEmitter {
+  constructor() {
+    super();
+
+    this.socket = null;
+    this.state = ACT_NONE;
+
+    this.cipher = new CipherState();
+    this.sendCipher = new CipherState();
+    this.recvCipher = new CipherState();
+
+    this.chain = ZERO_KEY;
+    this.digest = ZERO_KEY;
+
+    this.localStatic = null;
+    this.localEphemeral = null;
+    this.remoteStatic = null;
+    this.remoteEphemeral = null;
+
+    this.pending = Buffer.alloc(0);
+    this.waiting = 0;
+    this.hasSize = false;
+  }
+
+  /**
+   * @param {net.Socket} socket - connected socket.
+   * @param {Buffer} theirKey - identity key of the peer.
+   * @param {Buffer} [ourKey] - random if not set.
+   * @returns {Brontide}
+   */
+
+  connect(socket, theirKey, ourKey) {
+    assert(Buffer.isBuffer(theirKey) && theirKey.length === KEY_SIZE);
+
+    this.socket = socket;
+    this.localStatic = ourKey || secp256k1.privateKeyGenerate();
+    this.remoteStatic = theirKey;
+
+    this.digest = sha256.digest(Buffer.from(PROTOCOL_NAME, 'ascii'));
+    this.chain = this.digest;
+    this.cipher.initKey(ZERO_KEY);
+
+    this.mixHash(Buffer.from(PROLOGUE, 'ascii'));
+    this.mixHash(theirKey);
+
+    this.socket.on('data', data => this.feed(data));
+
+    this.state = ACT_TWO;
+    this.waiting = ACT_TWO_SIZE;
+
+    try {
+      this.socket.write(this.genActOne());
+    } catch (e) {
+      this.fail(e);
+    }
+
+    return this;
+  }
+
+  get handshake() {
+    return this.state === ACT_DONE;
+  }
+
+  mixKey(secret) {
+    let temp;
+    [this.chain, temp] = expand(secret, this.chain, EMPTY);
+    this.cipher.initKey(temp);
+  }
+
+  mixHash(data, tag) {
+    this.digest = sha256.multi(this.digest, data, tag);
+  }
+
+  encryptHash(pt) {
+    const tag = this.cipher.encrypt(pt, this.digest);
+    this.mixHash(pt, tag);
+    return tag;
+  }
+
+  decryptHash(ct, tag) {
+    const digest = sha256.multi(this.digest, ct, tag);
+
+    if (!this.cipher.decrypt(ct, tag, this.digest))
+      return false;
+
+    this.digest = digest;
+    return true;
+  }
+
+  genActOne() {
+    // e
+    this.localEphemeral = secp256k1.privateKeyGenerate();
+
+    const ephemeral = getPublic(this.localEphemeral);
+    const uniform = secp256k1.publicKeyToHash(ephemeral);
+
+    this.mixHash(ephemeral);
+
+    // es
+    this.mixKey(ecdh(this.remoteStatic, this.localEphemeral));
+
+    const tag = this.encryptHash(EMPTY);
+    const actOne = Buffer.concat([uniform, tag]);
+
+    assert(actOne.length === ACT_ONE_SIZE);
+
+    return actOne;
+  }
+
+  recvActTwo(actTwo) {
+    assert(actTwo.length === ACT_TWO_SIZE);
+
+    const uniform = actTwo.subarray(0, 64);
+    const tag = actTwo.subarray(64);
+
+    // e
+    this.remoteEphemeral = secp256k1.publicKeyFromHash(uniform);
+    this.mixHash(this.remoteEphemeral);
+
+    // ee
+    this.mixKey(ecdh(this.remoteEphemeral, this.localEphemeral));
+
+    if (!this.decryptHash(EMPTY, tag))
+      throw new Error('Act two: bad tag.');
+  }
+
+  genActThree() {
+    const ourKey = getPublic(this.localStatic);
+    const tag1 = this.encryptHash(ourKey);
+
+    // se
+    this.mixKey(ecdh(this.remoteEphemeral, this.localStatic));
+
+    const tag2 = this.encryptHash(EMPTY);
+    const actThree = Buffer.concat([ourKey, tag1, tag2]);
+
+    assert(actThree.length === ACT_THREE_SIZE);
+
+    const [sendKey, recvKey] = expand(EMPTY, this.chain, EMPTY);
+
+    this.sendCipher.initSalt(sendKey, this.chain);
+    this.recvCipher.initSalt(recvKey, this.chain);
+
+    return actThree;
+  }
+
+  /**
+   * @param {Buffer} data
+   * @returns {Boolean}
+   */
+
+  write(data) {
+    assert(this.state === ACT_DONE, 'Handshake is not finished.');
+
+    const len = Buffer.alloc(4);
+    const msg = Buffer.from(data);
+
+    len.writeUInt32LE(msg.length, 0);
+
+    const tag1 = this.sendCipher.encrypt(len);
+    const tag2 = this.sendCipher.encrypt(msg);
+
+    return this.socket.write(Buffer.concat([len, tag1, msg, tag2]));
+  }
+
+  feed(data) {
+    if (this.state === ACT_NONE)
+      return;
+
+    this.pending = Buffer.concat([this.pending, data]);
+
+    while (this.state !== ACT_NONE && this.pending.length >= this.waiting) {
+      const chunk = this.pending.subarray(0, this.waiting);
+      this.pending = this.pending.subarray(this.waiting);
+
+      try {
+        this.parse(Buffer.from(chunk));
+      } catch (e) {
+        this.fail(e);
+        return;
+      }
+    }
+  }
+
+  parse(data) {
+    if (this.state === ACT_TWO) {
+      this.recvActTwo(data);
+      this.socket.write(this.genActThree());
+      this.state = ACT_DONE;
+      this.waiting = HEADER_SIZE;
+      this.emit('connect');
+      return;
+    }
+
+    if (!this.hasSize) {
+      const len = data.subarray(0, 4);
+      const tag = data.subarray(4, 20);
+
+      if (!this.recvCipher.decrypt(len, tag))
+        throw new Error('Bad tag for header.');
+
+      const size = len.readUInt32LE(0);
+
+      if (size > MAX_MESSAGE)
+        throw new Error('Bad packet size.');
+
+      this.hasSize = true;
+      this.waiting = size + 16;
+      return;
+    }
+
+    const payload = data.subarray(0, this.waiting - 16);
+    const tag = data.subarray(this.waiting - 16, this.waiting);
+
+    this.hasSize = false;
+    this.waiting = HEADER_SIZE;
+
+    if (!this.recvCipher.decrypt(payload, tag))
+      throw new Error('Bad tag for message.');
+
+    this.emit('data', payload);
+  }
+
+  fail(err) {
+    this.state = ACT_NONE;
+    this.pending = Buffer.alloc(0);
+    this.emit('error', err);
+  }
+}
+
+/**
+ * @param {Buffer} secret
+ * @param {Buffer} salt
+ * @param {Buffer} info
+ * @returns {Buffer[]}
+ */
+
+function expand(secret, salt, info) {
+  const prk = hkdf.extract(sha256, secret, salt);
+  const out = hkdf.expand(sha256, prk, info, 64);
+  return [out.subarray(0, 32), out.subarray(32, 64)];
+}
+
+function ecdh(publicKey, privateKey) {
+  const secret = secp256k1.derive(publicKey, privateKey, true);
+  return sha256.digest(secret);
+}
+
+function getPublic(priv) {
+  return secp256k1.publicKeyCreate(priv, true);
+}
+
+/**
+ * Identity keys are base32 encoded in the hostnames.
+ * @param {String} str
+ * @returns {Buffer}
+ */
+
+function decodeKey(str) {
+  let key;
+
+  try {
+    key = base32.decode(str);
+  } catch (e) {
+    throw new Error(`Invalid identity key: ${str}.`);
+  }
+
+  if (key.length !== KEY_SIZE || !secp256k1.publicKeyVerify(key))
+    throw new Error(`Invalid identity key: ${str}.`);
+
+  return key;
+}
+
+/**
+ * @param {Buffer} key
+ * @returns {String}
+ */
+
+function encodeKey(key) {
+  return base32.encode(key);
+}
+
+exports.Brontide = Brontide;
+exports.decodeKey = decodeKey;
+exports.encodeKey = encodeKey;
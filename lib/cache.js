@@ -36,6 +36,14 @@ class NullCache {
   async getCache(name, file) {
     return null;
   }
+
+  async getCacheEntry(name, file) {
+    return null;
+  }
+
+  async refresh(name, file, timeout) {
+    return false;
+  }
 }
 
 class Cache extends NullCache {
@@ -129,10 +137,13 @@ class Cache extends NullCache {
    * @param {String} file
    * @param {String|Buffer} data
    * @param {Number} [timeout=7200] - default 2 hours
+   * @param {Object} [validators] - for conditional requests.
+   * @param {String} [validators.etag]
+   * @param {String} [validators.lastModified]
    * @returns {Promise}
    */
 
-  async cache(name, file, data, timeout = 2 * T_HOUR) {
+  async cache(name, file, data, timeout = 2 * T_HOUR, validators = {}) {
     if (this.ignore)
       return false;
 
@@ -141,7 +152,9 @@ class Cache extends NullCache {
       name: name,
       file: file,
       createdAt: currentTime,
-      timeoutAt: currentTime + timeout
+      timeoutAt: currentTime + timeout,
+      etag: validators.etag,
+      lastModified: validators.lastModified
     });
     const dirname = path.join(this.cacheDir, entry.dirname);
     const dest = path.join(this.cacheDir, entry.path);
@@ -165,6 +178,23 @@ class Cache extends NullCache {
    */
 
   async getCache(name, file) {
+    const cached = await this.getCacheEntry(name, file);
+
+    if (!cached || cached.expired)
+      return null;
+
+    return cached.data;
+  }
+
+  /**
+   * Get the cache with the entry, expired entries are
+   * only returned if they can be revalidated.
+   * @param {String} name
+   * @param {String} file
+   * @returns {Promise<CachedData|null>}
+   */
+
+  async getCacheEntry(name, file) {
     if (this.ignore)
       return null;
 
@@ -183,23 +213,65 @@ class Cache extends NullCache {
       return null;
     }
 
-    if (exists && entry.hasExpired) {
+    const expired = entry.hasExpired;
+
+    if (expired && !entry.canRevalidate) {
       this.hasChanged = true;
       this.cacheMap.delete(entry.id);
       await fs.unlink(fileLoc);
       return null;
     }
 
-    return fs.readFile(fileLoc);
+    return {
+      data: await fs.readFile(fileLoc),
+      entry: entry,
+      expired: expired
+    };
+  }
+
+  /**
+   * Extend the cache entry after it was revalidated.
+   * @param {String} name
+   * @param {String} file
+   * @param {Number} [timeout=7200] - default 2 hours
+   * @returns {Promise<Boolean>}
+   */
+
+  async refresh(name, file, timeout = 2 * T_HOUR) {
+    if (this.ignore)
+      return false;
+
+    const tentry = new CacheEntry({ name, file });
+    const entry = this.cacheMap.get(tentry.id);
+
+    if (!entry)
+      return false;
+
+    const currentTime = now();
+    entry.createdAt = currentTime;
+    entry.timeoutAt = currentTime + timeout;
+
+    this.hasChanged = true;
+    await this.writeCacheInfo();
+    return true;
   }
 }
 
+/**
+ * @typedef {Object} CachedData
+ * @property {Buffer} data
+ * @property {CacheEntry} entry
+ * @property {Boolean} expired - needs revalidation.
+ */
+
 class CacheEntry {
   constructor(options = {}) {
     this.createdAt = options.createdAt;
     this.timeoutAt = options.timeoutAt;
     this.name = options.name;
     this.file = options.file;
+    this.etag = options.etag || null;
+    this.lastModified = options.lastModified || null;
   }
 
   get dirname() {
@@ -214,6 +286,10 @@ class CacheEntry {
     return this.path;
   }
 
+  get canRevalidate() {
+    return this.etag != null || this.lastModified != null;
+  }
+
   get hasExpired() {
     if (this.timeoutAt === this.createdAt)
       return false;
@@ -230,7 +306,9 @@ class CacheEntry {
       name: this.name,
       file: this.file,
       createdAt: this.createdAt,
-      timeoutAt: this.timeoutAt
+      timeoutAt: this.timeoutAt,
+      etag: this.etag,
+      lastModified: this.lastModified
     };
   }
 
@@ -246,6 +324,16 @@ class CacheEntry {
     this.timeoutAt = json.timeoutAt;
     this.createdAt = json.createdAt;
 
+    if (json.etag != null) {
+      assert(typeof json.etag === 'string');
+      this.etag = json.etag;
+    }
+
+    if (json.lastModified != null) {
+      assert(typeof json.lastModified === 'string');
+      this.lastModified = json.lastModified;
+    }
+
     return this;
   }
 
@@ -205,6 +205,7 @@ class CLI {
   async run(cmd, options) {
     const command = new commands[cmd]({
       Error: CommandError.bind(null, cmd),
+      name: cmd,
       ...options
     });
 
@@ -216,6 +217,9 @@ class CLI {
       this.out.push(...args);
     });
 
+    command.on('pause', () => this.pause());
+    command.on('resume', () => this.resume());
+
     command.on('task', (name, message) => {
       if (this.tasks.has(name) && message != null) {
         const task = this.tasks.get(name);
@@ -289,6 +293,33 @@ class CLI {
     this.interval = setInterval(this.draw.bind(this), 100);
   }
 
+  /**
+   * Stop drawing, so the terminal can be used for the input.
+   */
+
+  pause() {
+    if (this.interval)
+      clearInterval(this.interval);
+
+    this.interval = null;
+    this.draw();
+
+    if (this.stdout.isTTY && this.rendererName === 'loader')
+      this.stdout.write(ansi.cursor.show);
+  }
+
+  /**
+   * Continue drawing below the input.
+   */
+
+  resume() {
+    if (this.stdout.isTTY && this.rendererName === 'loader')
+      this.stdout.write(ansi.cursor.hide);
+
+    this.renderer.reset();
+    this.interval = setInterval(this.draw.bind(this), 100);
+  }
+
   /**
    * Draw
    */
@@ -6,40 +6,51 @@
 
 'use strict';
 
-const assert = require('assert');
 const {Command} = require('./command');
 const {Semaphore} = require('../utils/semaphore');
 const {NullCache, T_MINUTE} = require('../cache');
 const util = require('../utils/util');
 const colors = require('../utils/colors');
 const {fetchCached} = require('../utils/fetch');
+const p2p = require('../p2p');
+const {encodeKey} = require('../brontide');
+const {NetAddress} = require('../netaddr');
 
 const CACHE_NAME = 'hs-checkseeds';
 
 const NETHEALTH_URL = 'https://hsdnethealth.nodech.dev/data/nodes';
-const NETHEALTH_NODE = addr => `${NETHEALTH_URL}/hosts/${addr}/general.json`;
-const NETHEALTH_5MONTHS = (ip, port) => {
-  return `${NETHEALTH_URL}/hosts/${ip}/${port}-history-day-5month.json`;
+const NETHEALTH_NODE = host => `${NETHEALTH_URL}/hosts/${host}/general.json`;
+const NETHEALTH_5MONTHS = (host, port) => {
+  return `${NETHEALTH_URL}/hosts/${host}/${port}-history-day-5month.json`;
 };
 
-const PORT_CLEAR = 12038;
 const FIVE_MONTHS = 150;
 
+const TASK_RESOLVE_SEEDS = 'Resolve seed hostnames';
 const TASK_GET_SEEDS = 'Gather seed details';
+const TASK_PROBE_SEEDS = 'Probe seeds';
+const TASK_GET_HISTORY = 'Gather seed history';
+const STEP_RESOLVE_SEED = seed => `Resolve ${seed}`;
 const STEP_GET_NODE_DETAILS = seed => `Get ${seed} info`;
+const STEP_PROBE_NODE = seed => `Probe ${seed}`;
+const STEP_GET_NODE_HISTORY = seed => `Get ${seed} history`;
 
 /**
  * @typedef {Object} SeedData
- * @property {string} addr
+ * @property {string} addr - host:port
+ * @property {String} type - ipv4, ipv6, onion or name.
  * @property {boolean} isMainSeed
  * @property {boolean} isGeneratedSeed
  * @property {boolean} isOnline
  * @property {Boolean} isFullNode
- * @property {Boolean} isFullTree
+ * @property {Boolean|null} isFullTree - null if unknown.
  * @property {Number} lastSeen
  * @property {Number} lastHeight
  * @property {Number} lastVersion
- * @property {Months5Data} uptime5months
+ * @property {Months5Data|null} uptime5months
+ * @property {ProbeResult|null} probe
+ * @property {String|null} key - base32 identity key.
+ * @property {Boolean|null} keyMatches - null if not checked.
  * @property {Boolean} bcoinNinja
  * @property {Boolean} hsdnodesTools
  */
@@ -49,12 +60,22 @@ class CheckSeeds extends Command {
     super(options);
 
     this.cache = options.cache || new NullCache();
+    this.fetchSem = new Semaphore(options.parallel ?? 3);
 
-    /** @type {String[]} */
-    this.seeds = parseSeeds(options.seeds || []);
+    // Connect to the seeds instead of asking nethealth.
+    this.probe = options.probe ?? false;
+    this.probeTimeout = options.probeTimeout ?? 5000;
+
+    this.rawSeeds = options.seeds || [];
+
+    /** @type {NetAddress[]} */
+    this.seeds = [];
 
     /** @type {Map<string, SeedData>} */
     this.seedData = new Map();
+
+    /** @type {Set<string>} */
+    this.failedToGet = new Set();
   }
 
   async getCachedNethealth(url) {
@@ -68,7 +89,7 @@ class CheckSeeds extends Command {
       fileName: fileName,
       expire: 5 * T_MINUTE,
 
-      sema: this.fetchSem,
+      semaphore: this.fetchSem,
 
       method: 'GET',
       url: url
@@ -78,27 +99,16 @@ class CheckSeeds extends Command {
   };
 
   /**
+   * @param {NetAddress} addr
    * @param {Object} nethealthEntry
    * @returns {SeedData}
    */
 
-  seedDataFromEntry(entry) {
+  seedDataFromEntry(addr, entry) {
     const lastUp = entry.lastUp;
-    const lastStatus = entry.lastStatus;
-    const addr = lastStatus.info.host + ':' + lastStatus.info.port;
-
-    /** @type {SeedData} */
-    const seedData = {
-      addr,
-      isOnline: entry.isUp,
-      uptime5months: null,
-
-      lastSeen: 0,
-      isFullNode: false,
-      isFullTree: false,
-      lastHeight: 0,
-      lastVersion: ''
-    };
+    const seedData = createSeedData(addr);
+
+    seedData.isOnline = entry.isUp;
 
     if (!lastUp)
       return seedData;
@@ -114,69 +124,197 @@ class CheckSeeds extends Command {
     return seedData;
   }
 
+  /**
+   * @param {NetAddress} seed
+   */
+
   async getNodeDetails(seed) {
-    const ip = seed.split(':')[0];
-    const port = seed.split(':')[1];
+    const {host, port} = seed;
 
     let general, months5;
 
     try {
       const results = await Promise.all([
-        this.getCachedNethealth(NETHEALTH_NODE(ip)),
-        this.getCachedNethealth(NETHEALTH_5MONTHS(ip, port))
+        this.getCachedNethealth(NETHEALTH_NODE(host)),
+        this.getCachedNethealth(NETHEALTH_5MONTHS(host, port))
       ]);
 
       general = results[0];
       months5 = results[1];
     } catch (e) {
-      this.failedToGet.add(seed);
+      this.failedToGet.add(seed.toHostname());
       throw e;
     }
 
     if (general == null || months5 == null) {
-      this.failedToGet.add(seed);
+      this.failedToGet.add(seed.toHostname());
       throw new Error('Failed to get node details');
     }
 
     if (general.general[port] == null) {
-      this.failedToGet.add(seed);
+      this.failedToGet.add(seed.toHostname());
       throw new Error(`Port ${port} not found in general.json`);
     }
 
-    const data = this.seedDataFromEntry(general.general[port]);
+    const data = this.seedDataFromEntry(seed, general.general[port]);
     data.uptime5months = Months5Data.fromEntries(months5.data);
 
-    this.seedData.set(seed, data);
+    this.seedData.set(seed.toHostname(), data);
   }
 
-  async getAllNodeDetails() {
+  /**
+   * Connect to the node and use the handshake details.
+   * Pruning and tree compaction are not part of the handshake.
+   * @param {NetAddress} seed
+   */
+
+  async probeNode(seed) {
+    const data = createSeedData(seed);
+
+    data.isFullTree = null;
+    this.seedData.set(seed.toHostname(), data);
+
+    if (seed.isOnion())
+      throw new Error('Onion addresses can not be probed without a proxy.');
+
+    let result;
+
+    try {
+      result = await p2p.probe({
+        host: seed.host,
+        port: seed.port,
+        key: seed.key,
+        timeout: this.probeTimeout
+      });
+    } catch (e) {
+      if (e instanceof p2p.KeyMismatchError)
+        data.keyMatches = false;
+
+      throw e;
+    }
+
+    if (seed.key)
+      data.keyMatches = true;
+
+    data.isOnline = true;
+    data.lastSeen = Math.floor(Date.now() / 1000);
+    data.isFullNode = (result.services & p2p.services.NETWORK) !== 0;
+    data.lastHeight = result.height;
+    data.lastVersion = extractVersion(result.agent);
+    data.probe = result;
+  }
+
+  /**
+   * Nethealth history of the probed node.
+   * @param {NetAddress} seed
+   */
+
+  async getNodeHistory(seed) {
+    const url = NETHEALTH_5MONTHS(seed.host, seed.port);
+    const months5 = await this.getCachedNethealth(url);
+
+    if (months5 == null) {
+      this.failedToGet.add(seed.toHostname());
+      throw new Error('Failed to get node history');
+    }
+
+    const data = this.seedData.get(seed.toHostname());
+    data.uptime5months = Months5Data.fromEntries(months5.data);
+  }
+
+  /**
+   * Replace hostnames with their addresses, seeds that
+   * could not be resolved are dropped.
+   */
+
+  async resolveAllSeeds() {
+    const names = this.seeds.filter(seed => seed.isName());
+    const resolved = new Map();
+
+    await this.runSeedSteps(STEP_RESOLVE_SEED, async (seed) => {
+      resolved.set(seed, await seed.resolve());
+    }, 3, names);
+
+    this.seeds = uniqueSeeds(this.seeds.flatMap((seed) => {
+      return seed.isName() ? resolved.get(seed) || [] : [seed];
+    }));
+  }
+
+  /**
+   * @param {Function} getStep - seed -> step name.
+   * @param {Function} fn - seed -> Promise.
+   * @param {Number} parallel
+   * @param {NetAddress[]} [seeds=this.seeds]
+   */
+
+  async runSeedSteps(getStep, fn, parallel, seeds = this.seeds) {
     const steps = new Map();
 
-    for (const seed of this.seeds) {
-      const stepName = STEP_GET_NODE_DETAILS(seed);
+    for (const seed of seeds) {
+      const stepName = getStep(seed.toHostname());
 
       this.step(stepName);
 
       steps.set(stepName, async () => {
-        await this.getNodeDetails(seed);
+        await fn(seed);
       });
     }
 
-    const sem = new Semaphore(3);
+    const sem = new Semaphore(parallel);
     await this.runParallelSteps(steps, sem);
   }
 
+  async getAllNodeDetails() {
+    await this.runSeedSteps(STEP_GET_NODE_DETAILS,
+      seed => this.getNodeDetails(seed), 3);
+  }
+
+  async probeAllNodes() {
+    await this.runSeedSteps(STEP_PROBE_NODE,
+      seed => this.probeNode(seed), 8);
+  }
+
+  async getAllNodeHistory() {
+    await this.runSeedSteps(STEP_GET_NODE_HISTORY,
+      seed => this.getNodeHistory(seed), 3);
+  }
+
   async run() {
-    const tasks = {
-      [TASK_GET_SEEDS]: () => this.getAllNodeDetails()
-    };
+    try {
+      this.seeds = parseSeeds(this.rawSeeds);
+    } catch (e) {
+      throw new this.Error(e.message);
+    }
+
+    const tasks = {};
+
+    if (this.seeds.some(seed => seed.isName()))
+      tasks[TASK_RESOLVE_SEEDS] = () => this.resolveAllSeeds();
+
+    if (this.probe) {
+      tasks[TASK_PROBE_SEEDS] = () => this.probeAllNodes();
+      tasks[TASK_GET_HISTORY] = () => this.getAllNodeHistory();
+    } else {
+      tasks[TASK_GET_SEEDS] = () => this.getAllNodeDetails();
+    }
 
     this.registerTasks(Object.keys(tasks));
     await this.runTasks(Object.entries(tasks));
 
+    if (this.isJSON) {
+      this.reportJSON();
+      return;
+    }
+
     this.report();
   }
 
+  reportJSON() {
+    this.logJSON({
+      seeds: Array.from(this.seedData.values())
+    });
+  }
+
   report() {
     const headers = [
       'seed',
@@ -190,6 +328,9 @@ class CheckSeeds extends Command {
       'version'
     ];
 
+    if (this.probe)
+      headers.push('key', 'latency');
+
     const entries = [];
     for (const entry of this.seedData.values()) {
       const tableEntry = {};
@@ -198,12 +339,16 @@ class CheckSeeds extends Command {
 
       tableEntry.seed = entry.addr;
       tableEntry.on = formatYN(entry.isOnline);
-      tableEntry.uptime = entry.uptime5months.onlinePerc.toFixed(2) + '%';
-      tableEntry.uptime5 = entry.uptime5months.allOnlinePerc.toFixed(2) + '%';
-      tableEntry.full = entry.uptime5months.fullPerc.toFixed(2) + '%';
+      tableEntry.uptime = formatPerc(entry.uptime5months, 'onlinePerc');
+      tableEntry.uptime5 = formatPerc(entry.uptime5months, 'allOnlinePerc');
+      tableEntry.full = formatPerc(entry.uptime5months, 'fullPerc');
       tableEntry.fullNow = formatYN(entry.isFullNode);
-      tableEntry.fullTree = formatYN(entry.isFullTree);
+      tableEntry.fullTree = entry.isFullTree == null
+        ? '-'
+        : formatYN(entry.isFullTree);
       tableEntry.version = entry.lastVersion;
+      tableEntry.latency = entry.probe ? `${entry.probe.latency}ms` : '-';
+      tableEntry.key = formatKeyMatch(entry.keyMatches);
 
       tableEntry.height = String(entry.lastHeight);
       tableEntry.rawHeight = String(entry.lastHeight);
@@ -215,19 +360,55 @@ class CheckSeeds extends Command {
   }
 }
 
+/**
+ * @param {NetAddress} addr
+ * @returns {SeedData}
+ */
+
+function createSeedData(addr) {
+  return {
+    addr: addr.toHostname(),
+    type: addr.type,
+    isOnline: false,
+    uptime5months: null,
+    probe: null,
+    key: addr.key ? encodeKey(addr.key) : null,
+    keyMatches: null,
+
+    lastSeen: 0,
+    isFullNode: false,
+    isFullTree: false,
+    lastHeight: 0,
+    lastVersion: ''
+  };
+}
+
+/**
+ * Seeds are [key@]host[:port], seeds with keys
+ * default to the brontide port.
+ * @param {String[]} seeds
+ * @returns {NetAddress[]}
+ */
+
 function parseSeeds(seeds) {
-  return seeds.map((seed) => {
-    // no ipv6
-    assert(seed.includes('.'));
+  return uniqueSeeds(seeds.map(seed => NetAddress.fromString(seed)));
+}
 
-    const trimmed = seed.trim();
+/**
+ * Keep the first seed for every host:port.
+ * @param {NetAddress[]} seeds
+ * @returns {NetAddress[]}
+ */
 
-    if (seed.includes(':')) {
-      return trimmed;
-    }
+function uniqueSeeds(seeds) {
+  const unique = new Map();
+
+  for (const seed of seeds) {
+    if (!unique.has(seed.toHostname()))
+      unique.set(seed.toHostname(), seed);
+  }
 
-    return `${trimmed}:${PORT_CLEAR}`;
-  });
+  return Array.from(unique.values());
 }
 
 function extractVersion(version) {
@@ -271,6 +452,20 @@ class Months5Data {
     return percent(full, this.countSync);
   }
 
+  toJSON() {
+    return {
+      countSync: this.countSync,
+      countSPV: this.countSPV,
+      countPruned: this.countPruned,
+      countCompacted: this.countCompacted,
+      total: this.total,
+      totalEntries: this.totalEntries,
+      onlinePerc: this.onlinePerc,
+      allOnlinePerc: this.allOnlinePerc,
+      fullPerc: this.fullPerc
+    };
+  }
+
   fromEntries(entries) {
     this.totalEntries = 0;
 
@@ -295,6 +490,22 @@ function percent(num, total) {
   return ((num / total) * 100);
 }
 
+function formatPerc(months5, key) {
+  if (!months5)
+    return 'N/A';
+
+  return months5[key].toFixed(2) + '%';
+}
+
+function formatKeyMatch(matches) {
+  if (matches == null)
+    return '-';
+
+  return matches
+    ? colors.greenText('y')
+    : colors.redText('mismatch');
+}
+
 function formatYN(bool) {
   return bool
     ? colors.greenText('y')
@@ -7,8 +7,9 @@
 'use strict';
 
 const EventEmitter = require('events');
+const util = require('../utils/util');
 
-const {STATUS, statusByID} = require('../common');
+const {STATUS, statusByID, OUTPUT, JSON_VERSION} = require('../common');
 const {RUNNING, FAILED, DONE} = STATUS;
 
 class Command extends EventEmitter {
@@ -17,9 +18,15 @@ class Command extends EventEmitter {
 
     this.options = options;
     this.Error = options.Error;
+    this.name = options.name || '';
+    this.outputType = options.output || OUTPUT.TEXT;
     this.current = null;
   }
 
+  get isJSON() {
+    return this.outputType === OUTPUT.JSON;
+  }
+
   start(name, message) {
     this.current = name;
     this.task(name, RUNNING, message);
@@ -105,6 +112,44 @@ class Command extends EventEmitter {
     await Promise.all(running);
   }
 
+  /**
+   * Show rate limit waits in the current task message.
+   * @param {RateLimit} rateLimit
+   */
+
+  watchRateLimit(rateLimit) {
+    rateLimit.on('wait', (ms) => {
+      if (!this.current)
+        return;
+
+      const seconds = Math.ceil(ms / 1000);
+      this.task(this.current, null, `Rate limited, waiting ${seconds}s.`);
+    });
+
+    rateLimit.on('resume', () => {
+      if (!this.current)
+        return;
+
+      this.task(this.current, null, '');
+    });
+  }
+
+  /**
+   * Ask the user, drawing is paused while waiting for the answer.
+   * @param {String} query
+   * @returns {Promise<String>}
+   */
+
+  async question(query) {
+    this.emit('pause');
+
+    try {
+      return await util.question(query);
+    } finally {
+      this.emit('resume');
+    }
+  }
+
   error(err, ...args) {
     this.emit('error', err, ...args);
   }
@@ -112,6 +157,21 @@ class Command extends EventEmitter {
   log(...args) {
     this.emit('out', ...args, '\n');
   }
+
+  /**
+   * Log structured output wrapped in the versioned envelope.
+   * @param {Object} data
+   */
+
+  logJSON(data) {
+    const json = {
+      version: JSON_VERSION,
+      command: this.name,
+      data: data
+    };
+
+    this.log(JSON.stringify(json, null, 2));
+  }
 }
 
 exports.Command = Command;
@@ -6,28 +6,138 @@
 
 'use strict';
 
-const assert = require('assert');
+const os = require('os');
 const fs = require('bfile');
 const path = require('path');
 const {Command} = require('./command');
-const {NPMAPI, GithubAPI} = require('../api');
+const {NPMAPI, Forges, parseRepository} = require('../api');
+const {PackageDependency} = require('../package');
+const {PackageLock, LOCK_FILE, integrityMatches} = require('../pkglock');
+const tarball = require('../tarball');
+const pkgjson = require('../pkgjson');
+const diff = require('../utils/diff');
+const git = require('../api/git-low');
 const {Semaphore} = require('../utils/semaphore');
 const util = require('../utils/util');
 const semver = require('../../vendor/semver');
 const colors = require('../utils/colors');
 
 const TASK_GATHER_NPM_DATA = 'Gather version information from npm.';
-const TASK_GATHER_GITHUB_DATA = 'Gather version information from github.';
-const TASK_GATHER_GITHUB_MASTERS = 'Gather master refs from github.';
-const TASK_GATHER_GITHUB_LATESTS = 'Gather latest tag references';
+const TASK_GATHER_GIT_DATA = 'Gather version information from git.';
+const TASK_GATHER_GIT_MASTERS = 'Gather master refs from git.';
+const TASK_GATHER_GIT_LATESTS = 'Gather latest tag references';
+const TASK_RESOLVE_GIT_DEPS = 'Resolve git dependencies.';
+const TASK_WALK_TREE = 'Walk the dependency tree.';
+const TASK_VERIFY_TARBALLS = 'Verify npm tarballs against git tags.';
+const TASK_GATHER_UNRELEASED = 'Gather unreleased commits.';
 
 const STEP_GET_PKG_INFO = pkg => `Get npm info for ${pkg}.`;
-const STEP_GET_GITHUB_INFO = pkg => `get github info for ${pkg}.`;
-const STEP_GET_GITHUB_MASTER = pkg => `get github master ref for ${pkg}.`;
-const STEP_GET_GITHUB_LATEST = pkg => `get latest version refs for ${pkg}.`;
+const STEP_GET_GIT_INFO = pkg => `get git info for ${pkg}.`;
+const STEP_GET_GIT_MASTER = pkg => `get git master ref for ${pkg}.`;
+const STEP_GET_GIT_LATEST = pkg => `get latest version refs for ${pkg}.`;
+const STEP_RESOLVE_GIT_DEP = pkg => `resolve pinned ref for ${pkg}.`;
+const STEP_WALK_DEPTH = depth => `resolve dependencies at depth ${depth}.`;
+const STEP_VERIFY_TARBALL = pkg => `verify npm tarball of ${pkg}.`;
+const STEP_GET_UNRELEASED = pkg => `get unreleased commits of ${pkg}.`;
+
+// Sections --fix updates.
+const FIX_SECTIONS = ['dependencies', 'devDependencies'];
+
+// Commits to list when there are no PRs.
+const MAX_UNRELEASED_COMMITS = 10;
+
+const DEFAULT_TRUSTED_ORGS = ['bcoin-org', 'handshake-org'];
+
+/**
+ * @typedef {Object} PackageReport
+ * @property {String} name
+ * @property {String} type - dependencies, devDependencies, etc.
+ * @property {String} range - version range from the package.json.
+ * @property {String} latest - latest version from git or npm.
+ * @property {Boolean} satisfiesLatest - range resolves to the latest.
+ * @property {Boolean} minimumLatest - range minimum is the latest.
+ * @property {Object} engine - node engine of the dependency vs ours.
+ * @property {Object} git - latest git tag and master information.
+ * @property {Object} npm - latest npm release information.
+ * @property {PinnedReport|null} pinned - git dependency information.
+ * @property {LockReport|null} locked - package-lock.json information.
+ * @property {TarballCheck|null} tarball - npm tarball vs git tag.
+ * @property {VersionSets|null} versions - npm versions vs git tags.
+ * @property {Comparison|null} unreleased - commits since the latest tag.
+ */
+
+/**
+ * @typedef {Object} RangeFix
+ * @property {String} name
+ * @property {String} type - dependencies or devDependencies.
+ * @property {String} from - current range.
+ * @property {String} to - recommended range.
+ * @property {Boolean} applied
+ */
+
+/**
+ * @typedef {Object} VersionSets
+ * @property {String[]|null} unpublished - git tags without npm release.
+ * @property {String[]|null} untagged - npm releases without git tag.
+ * @property {Object[]} distTags - {tag, version, problem}
+ */
+
+/**
+ * @typedef {Object} TarballCheck
+ * @property {String} version - npm version.
+ * @property {String|null} tag - git tag of the version.
+ * @property {String[]} added - files not in git.
+ * @property {String[]} modified - files different from git.
+ * @property {String[]} missing - files not published.
+ * @property {String|null} error
+ */
+
+/**
+ * @typedef {Object} LockReport
+ * @property {Boolean} missing - not in the package-lock.json.
+ * @property {String|null} version - locked version.
+ * @property {String|null} sha - locked commit for the git dependencies.
+ * @property {Boolean|null} satisfies - locked version satisfies the range.
+ * @property {Boolean} stale - newer version is available.
+ * @property {Boolean|null} published - locked version exists on npm.
+ * @property {Boolean|null} integrity - matches npm dist integrity.
+ */
+
+/**
+ * @typedef {Object} TreeNode
+ * @property {String} id - name@version
+ * @property {String} name
+ * @property {String} version
+ * @property {Number} depth - 1 for direct dependencies.
+ * @property {String|null} engine - engines.node of the manifest.
+ * @property {Repository|null} repository
+ * @property {Set<String>} dependents - ids, root for direct ones.
+ * @property {Object} dependencies - name -> range.
+ */
+
+/**
+ * @typedef {Object} TreeReport
+ * @property {Number} packages - number of name@version.
+ * @property {Number} names - number of unique names.
+ * @property {Number} depth
+ * @property {Object[]} duplicates - same package with several versions.
+ * @property {Object[]} untrusted - code from outside of the trusted orgs.
+ * @property {Object[]} engineConflicts - require newer node than we do.
+ * @property {Object[]} unresolved - could not resolve from npm.
+ */
+
+/**
+ * @typedef {Object} PinnedRef
+ * @property {String} spec - semver:<range>, commit, branch or tag.
+ * @property {String|null} ref - resolved tag or branch.
+ * @property {String|null} sha - resolved commit.
+ */
 
-// eslint-disable-next-line max-len
-const GIT_REPO_REGEX = /^git(?:\+(?:ssh|https))?:\/\/([^\/]+)\/([^\/]+)\/(.*?)(.git)?$/;
+/**
+ * @typedef {PinnedRef} PinnedReport
+ * @property {Boolean} behindLatest - pinned ref is not the latest tag.
+ * @property {Boolean} behindMaster - pinned commit is not master.
+ */
 
 class DependencyCheck extends Command {
   constructor(options) {
@@ -41,15 +151,36 @@ class DependencyCheck extends Command {
     this.npmconc = options.npmconc;
     this.cwd = options.cwd;
 
-    this.githubAPI = new GithubAPI({
+    // Walk transitive dependencies as well.
+    this.recursive = options.recursive || false;
+    this.trustedOrgs = (options.trustedOrgs || DEFAULT_TRUSTED_ORGS)
+      .map(org => org.toLowerCase());
+
+    // Compare npm tarballs of the latest versions with git.
+    this.verifyTarball = options.verifyTarball || false;
+
+    // List commits between the latest tag and master.
+    this.listUnreleased = options.unreleased || false;
+
+    // Update outdated ranges in the package.json, ask for each one.
+    this.interactive = options.interactive || false;
+    this.fix = options.fix || this.interactive;
+
+    this.forges = new Forges({
       Error: this.Error,
       cache: this.cache,
       cwd: this.cwd,
       ghuser: this.ghuser,
       ghkey: this.ghkey,
-      ghconc: this.ghconc
+      ghconc: this.ghconc,
+      ghapi: options.ghapi,
+      gitlabkey: options.gitlabkey,
+      giteakey: options.giteakey,
+      forges: options.forges
     });
 
+    this.watchRateLimit(this.forges.githubAPI.rateLimit);
+
     this.npmAPI = new NPMAPI({
       Error: this.Error,
       cwd: this.cwd,
@@ -58,16 +189,49 @@ class DependencyCheck extends Command {
     });
 
     this.packageJSON = null;
+
+    /** @type {PackageLock|null} */
+    this.lock = null;
+
     this.deps = new Map();
     this.devDeps = new Map();
     this.optDeps = new Map();
     this.peerDeps = new Map();
     this.allDeps = new Map();
 
+    /** @type {Map<String, PackageDependency>} */
+    this.gitDeps = new Map();
+
     this.npmInfos = new Map();
+
+    /** @type {Map<String, Repository>} */
+    this.repositories = new Map();
+
+    /** @type {Map<String, TagRef[]>} */
     this.gitVersions = new Map();
     this.gitMasters = new Map();
     this.gitLatestTagMasters = new Map();
+
+    /** @type {Map<String, PinnedRef>} */
+    this.gitPins = new Map();
+
+    /** @type {Map<String, TarballCheck>} */
+    this.tarballChecks = new Map();
+
+    /** @type {Map<String, Comparison>} */
+    this.unreleased = new Map();
+
+    /** @type {RangeFix[]} */
+    this.fixes = [];
+
+    /** @type {String} - unified diff of package.json. */
+    this.fixDiff = '';
+
+    /** @type {Map<String, TreeNode>} */
+    this.tree = new Map();
+
+    /** @type {Map<String, Object>} - name -> {range, dependents, error} */
+    this.unresolved = new Map();
   }
 
   async ensureNodePackage() {
@@ -98,6 +262,19 @@ class DependencyCheck extends Command {
       ...this.optDeps,
       ...this.peerDeps
     ]);
+
+    for (const [name, version] of this.allDeps) {
+      const dep = new PackageDependency({ name, version });
+
+      if (dep.isGIT())
+        this.gitDeps.set(name, dep);
+    }
+
+    try {
+      this.lock = await PackageLock.fromDirectory(this.cwd);
+    } catch (e) {
+      throw new this.Error(`Could not parse ${LOCK_FILE}: ${e.message}`);
+    }
   }
 
   async gatherNPMData() {
@@ -107,8 +284,26 @@ class DependencyCheck extends Command {
       const stepName = STEP_GET_PKG_INFO(dep);
       this.step(stepName);
       steps.set(stepName, async () => {
-        // TODO: support git deps.
-        const [info, cached] = await this.npmAPI.getPkgInfo(dep);
+        const gitDep = this.gitDeps.get(dep);
+
+        // git dependencies are not required to be on npm.
+        if (gitDep)
+          this.repositories.set(dep, parseRepository(gitDep.version));
+
+        let info = null;
+        let cached = false;
+
+        try {
+          [info, cached] = await this.npmAPI.getPkgInfo(dep);
+        } catch (e) {
+          if (!gitDep)
+            throw e;
+        }
+
+        if (!info && gitDep) {
+          this.step(stepName, null, 'Not published on npm.');
+          return;
+        }
 
         if (!info)
           throw new this.Error(`Could not fetch pkg info for: ${dep}.`);
@@ -117,6 +312,13 @@ class DependencyCheck extends Command {
           this.step(stepName, null, 'Recovered from the cache.');
 
         this.npmInfos.set(dep, info);
+
+        const latest = info.versions?.[info['dist-tags']?.latest];
+        const repository = parseRepository(
+          info.repository ?? latest?.repository);
+
+        if (repository && !gitDep)
+          this.repositories.set(dep, repository);
       });
     }
 
@@ -124,21 +326,22 @@ class DependencyCheck extends Command {
     await this.runParallelSteps(steps, sem);
   }
 
-  async gatherGithubData() {
+  async gatherGitData() {
     const steps = new Map();
 
     for (const [dep] of this.allDeps) {
-      const stepName = STEP_GET_GITHUB_INFO(dep);
-      const npmInfo = this.npmInfos.get(dep);
-      const {url} = npmInfo.repository;
-      const matches = url.match(GIT_REPO_REGEX);
-      const [,, owner, repo] = matches;
+      const stepName = STEP_GET_GIT_INFO(dep);
+      const repository = this.repositories.get(dep);
 
       this.step(stepName);
-      // TODO: Support something other than GITHUB?
       steps.set(stepName, async () => {
-        const [tags] = await this.githubAPI.getRepoTags(owner, repo);
+        if (!repository)
+          throw new this.Error(`Could not find git repository for ${dep}.`);
+
+        const forge = this.forges.get(repository);
+        const [tags, cached] = await forge.getTags(repository);
         this.gitVersions.set(dep, tags);
+        this.stepGitMessage(stepName, forge, cached);
       });
     }
 
@@ -148,20 +351,22 @@ class DependencyCheck extends Command {
     return true;
   }
 
-  async gatherGithubMasters() {
+  async gatherGitMasters() {
     const steps = new Map();
 
     for (const [dep] of this.allDeps) {
-      const stepName = STEP_GET_GITHUB_MASTER(dep);
-      const {url} = this.npmInfos.get(dep).repository;
-      const matches = url.match(GIT_REPO_REGEX);
-      const [,, owner, repo] = matches;
+      const stepName = STEP_GET_GIT_MASTER(dep);
+      const repository = this.repositories.get(dep);
+
+      if (!repository)
+        continue;
 
       this.step(stepName);
-      // TODO: Support something other than GITHUB?
       steps.set(stepName, async () => {
-        const [master] = await this.githubAPI.getMasterRef(owner, repo);
+        const forge = this.forges.get(repository);
+        const [master, cached] = await forge.getMaster(repository);
         this.gitMasters.set(dep, master);
+        this.stepGitMessage(stepName, forge, cached);
       });
     }
 
@@ -169,30 +374,18 @@ class DependencyCheck extends Command {
     await this.runParallelSteps(steps, sem);
   }
 
-  async gatherGithubLatests() {
+  async gatherGitLatests() {
     const steps = new Map();
 
     for (const [dep] of this.allDeps) {
-      const stepName = STEP_GET_GITHUB_LATEST(dep);
-      const {url} = this.npmInfos.get(dep).repository;
-      const matches = url.match(GIT_REPO_REGEX);
-      const [,, owner, repo] = matches;
-
+      const stepName = STEP_GET_GIT_LATEST(dep);
+      const repository = this.repositories.get(dep);
       const gitVersion = this.gitVersions.get(dep);
 
       if (!gitVersion)
         continue;
 
       const gitInfo = gitVersion
-        .map((info) => {
-          const tag = info.ref.substr('refs/tags/'.length);
-
-          return {
-            tag: tag,
-            type: info.object.type,
-            sha: info.object.sha
-          };
-        })
         .filter(i => /^v\d+\.\d+\.\d+.*/.test(i.tag))
         .filter(i => semver.valid(semver.coerce(i.tag)))
         .sort((a, b) => {
@@ -204,14 +397,19 @@ class DependencyCheck extends Command {
 
       const gitLatest = gitInfo[gitInfo.length - 1];
 
+      if (!gitLatest)
+        continue;
+
       this.step(stepName);
       steps.set(stepName, async () => {
         const tag = gitLatest.tag;
         let sha = gitLatest.sha;
 
         if (gitLatest.type === 'tag') {
-          const [tag] = await this.githubAPI.getTagRefInfo(owner, repo, sha);
-          sha = tag.object.sha;
+          const forge = this.forges.get(repository);
+          const [commit, cached] = await forge.getTagCommit(repository, sha);
+          sha = commit;
+          this.stepGitMessage(stepName, forge, cached);
         }
 
         this.gitLatestTagMasters.set(dep, {tag, sha});
@@ -222,24 +420,577 @@ class DependencyCheck extends Command {
     await this.runParallelSteps(steps, sem);
   }
 
+  /**
+   * Resolve refs the git dependencies are pinned to.
+   */
+
+  async resolveGitDeps() {
+    const steps = new Map();
+
+    for (const [dep, gitDep] of this.gitDeps) {
+      const stepName = STEP_RESOLVE_GIT_DEP(dep);
+      const repository = this.repositories.get(dep);
+
+      if (!repository)
+        continue;
+
+      this.step(stepName);
+      steps.set(stepName, async () => {
+        const [info, cached] =
+          await this.forges.gitAPI.lsRemote(repository.url);
+
+        const pin = resolvePin(info, gitDep.gitURL.extra);
+
+        if (pin.sha == null)
+          throw new this.Error(`Could not resolve ${pin.spec} for ${dep}.`);
+
+        this.gitPins.set(dep, pin);
+
+        if (cached)
+          this.step(stepName, null, 'Recovered from the cache.');
+      });
+    }
+
+    const sem = new Semaphore(this.ghconc);
+    await this.runParallelSteps(steps, sem);
+  }
+
+  /**
+   * List commits and merged PRs on master since the latest tag.
+   */
+
+  async gatherUnreleased() {
+    const steps = new Map();
+
+    for (const [dep] of this.allDeps) {
+      const stepName = STEP_GET_UNRELEASED(dep);
+      const repository = this.repositories.get(dep);
+      const gitLatest = this.gitLatestTagMasters.get(dep);
+      const gitMaster = this.gitMasters.get(dep);
+
+      if (!repository || !gitLatest || !gitMaster)
+        continue;
+
+      if (gitLatest.sha === gitMaster)
+        continue;
+
+      this.step(stepName);
+      steps.set(stepName, async () => {
+        const forge = this.forges.get(repository);
+        const [comparison, cached] =
+          await forge.compare(repository, gitLatest.sha, gitMaster);
+
+        this.unreleased.set(dep, comparison);
+        this.stepGitMessage(stepName, forge, cached);
+      });
+    }
+
+    const sem = new Semaphore(this.ghconc);
+    await this.runParallelSteps(steps, sem);
+  }
+
+  /**
+   * Compare files of the latest npm release with the git tag
+   * of the same version. Files that are published but not in git
+   * were built or added by hand before publishing.
+   */
+
+  async verifyTarballs() {
+    const steps = new Map();
+
+    for (const [dep] of this.allDeps) {
+      const stepName = STEP_VERIFY_TARBALL(dep);
+      const npmInfo = this.npmInfos.get(dep);
+      const repository = this.repositories.get(dep);
+
+      if (this.gitDeps.has(dep) || !npmInfo || !repository)
+        continue;
+
+      this.step(stepName);
+      steps.set(stepName, async () => {
+        const version = npmInfo['dist-tags'].latest;
+
+        /** @type {TarballCheck} */
+        const check = {
+          version: version,
+          tag: null,
+          added: [],
+          modified: [],
+          missing: [],
+          error: null
+        };
+
+        this.tarballChecks.set(dep, check);
+
+        try {
+          await this.verifyPackageTarball(dep, npmInfo, repository, check);
+        } catch (e) {
+          check.error = e.message;
+          throw e;
+        }
+
+        const {added, modified} = check;
+
+        if (added.length || modified.length) {
+          this.step(stepName, null,
+            `${added.length} added, ${modified.length} modified.`);
+        } else {
+          this.step(stepName, null, 'Matches the source.');
+        }
+      });
+    }
+
+    const sem = new Semaphore(this.npmconc);
+    await this.runParallelSteps(steps, sem);
+  }
+
+  /**
+   * @param {String} pkg
+   * @param {Object} npmInfo
+   * @param {Repository} repository
+   * @param {TarballCheck} check
+   * @returns {Promise}
+   */
+
+  async verifyPackageTarball(pkg, npmInfo, repository, check) {
+    const {version} = check;
+    const dist = npmInfo.versions[version].dist;
+    const gitLatest = this.gitLatestTagMasters.get(pkg);
+    const tags = this.gitVersions.get(pkg) || [];
+    let ref = null;
+
+    if (gitLatest && semver.clean(gitLatest.tag) === version) {
+      check.tag = gitLatest.tag;
+      ref = gitLatest.sha;
+    } else {
+      const info = tags.find(t => semver.clean(t.tag) === version);
+
+      if (info) {
+        check.tag = info.tag;
+        ref = info.tag;
+      }
+    }
+
+    if (!ref)
+      throw new this.Error(`Could not find git tag for v${version}.`);
+
+    const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'hs-tools-'));
+
+    try {
+      const [data] = await this.npmAPI.getTarball(pkg, version, dist.tarball);
+      const pkgDir = await tarball.extract(data, tmp);
+      const srcDir = path.join(tmp, 'source');
+      const {gitAPI} = this.forges;
+      const repoDir = await gitAPI.ensureClone(repository.url, ref);
+
+      await fs.mkdir(srcDir);
+      await gitAPI.archive(repoDir, ref, srcDir);
+
+      const diff = await tarball.diffTrees(pkgDir, srcDir);
+
+      check.added = diff.added;
+      check.modified = diff.modified;
+      check.missing = diff.missing;
+    } finally {
+      await fs.rimraf(tmp);
+    }
+  }
+
+  /**
+   * Walk dependencies of the dependencies using the versions
+   * fresh install would resolve to. Only dependencies and
+   * optionalDependencies are followed for the transitive ones.
+   */
+
+  async walkTree() {
+    let edges = [];
+
+    for (const [name, range] of this.allDeps)
+      edges.push({ name, range, parent: 'root' });
+
+    for (let depth = 1; edges.length > 0; depth++) {
+      const stepName = STEP_WALK_DEPTH(depth);
+      const current = edges;
+      const next = [];
+
+      this.step(stepName);
+
+      await this.runSeriesSteps([[stepName, async () => {
+        let done = 0;
+
+        await Promise.all(current.map(async (edge) => {
+          const node = await this.resolveTreeNode(edge, depth);
+
+          this.step(stepName, null, `${++done}/${current.length}`);
+
+          if (!node)
+            return;
+
+          for (const [name, range] of Object.entries(node.dependencies))
+            next.push({ name, range, parent: node.id });
+        }));
+      }]]);
+
+      edges = next;
+    }
+  }
+
+  /**
+   * Resolve the version of the dependency and add it to the tree.
+   * @param {Object} edge - {name, range, parent}
+   * @param {Number} depth
+   * @returns {Promise<TreeNode|null>} - new node to walk.
+   */
+
+  async resolveTreeNode(edge, depth) {
+    const {name, range, parent} = edge;
+    const isNPM = isRegistrySpec(range);
+    let info = this.npmInfos.get(name);
+    let error = isNPM ? null : 'Not an npm dependency.';
+
+    if (!info && isNPM) {
+      try {
+        [info] = await this.npmAPI.getPkgInfo(name);
+        this.npmInfos.set(name, info);
+      } catch (e) {
+        error = e.message;
+      }
+    }
+
+    const version = info && isNPM ? resolveVersion(info, range) : null;
+
+    if (!version) {
+      if (!this.unresolved.has(name)) {
+        this.unresolved.set(name, {
+          range: range,
+          dependents: new Set(),
+          error: error ?? `Could not resolve ${range}.`
+        });
+      }
+
+      this.unresolved.get(name).dependents.add(parent);
+      return null;
+    }
+
+    const id = `${name}@${version}`;
+
+    if (this.tree.has(id)) {
+      this.tree.get(id).dependents.add(parent);
+      return null;
+    }
+
+    const manifest = info.versions[version];
+    const latest = info.versions[info['dist-tags']?.latest];
+
+    /** @type {TreeNode} */
+    const node = {
+      id: id,
+      name: name,
+      version: version,
+      depth: depth,
+      engine: manifest.engines?.node ?? null,
+      repository: parseRepository(
+        manifest.repository ?? info.repository ?? latest?.repository),
+      dependents: new Set([parent]),
+      dependencies: {
+        ...manifest.dependencies,
+        ...manifest.optionalDependencies
+      }
+    };
+
+    this.tree.set(id, node);
+
+    return node;
+  }
+
+  /**
+   * Check the tree against our policy.
+   * @returns {TreeReport}
+   */
+
+  getTreeReport() {
+    const {engines} = this.packageJSON;
+    const projectMin = semver.minVersion(engines?.node ?? '0.0.0').version;
+    const byName = new Map();
+    const untrusted = [];
+    const engineConflicts = [];
+    let depth = 0;
+
+    for (const node of this.tree.values()) {
+      const dependents = Array.from(node.dependents);
+
+      depth = Math.max(depth, node.depth);
+
+      if (!byName.has(node.name))
+        byName.set(node.name, []);
+
+      byName.get(node.name).push({
+        version: node.version,
+        dependents: dependents
+      });
+
+      const owner = node.repository?.owner.toLowerCase();
+
+      if (!owner || !this.trustedOrgs.includes(owner)) {
+        untrusted.push({
+          name: node.name,
+          version: node.version,
+          repository: node.repository?.url ?? null,
+          dependents: dependents
+        });
+      }
+
+      if (node.engine && semver.validRange(node.engine)) {
+        const required = semver.minVersion(node.engine).version;
+
+        if (semver.compare(required, projectMin) === 1) {
+          engineConflicts.push({
+            name: node.name,
+            version: node.version,
+            engine: node.engine,
+            required: required,
+            project: projectMin,
+            dependents: dependents
+          });
+        }
+      }
+    }
+
+    const duplicates = [];
+
+    for (const [name, versions] of byName) {
+      if (versions.length < 2)
+        continue;
+
+      versions.sort((a, b) => semver.compare(a.version, b.version));
+      duplicates.push({ name, versions });
+    }
+
+    const unresolved = [];
+
+    for (const [name, info] of this.unresolved) {
+      unresolved.push({
+        name: name,
+        range: info.range,
+        error: info.error,
+        dependents: Array.from(info.dependents)
+      });
+    }
+
+    return {
+      packages: this.tree.size,
+      names: byName.size,
+      depth: depth,
+      duplicates: duplicates,
+      untrusted: untrusted,
+      engineConflicts: engineConflicts,
+      unresolved: unresolved
+    };
+  }
+
+  /**
+   * @param {TreeReport} report
+   * @returns {String}
+   */
+
+  formatTreeReport(report) {
+    const via = (dependents) => {
+      const list = dependents.slice(0, 3);
+
+      if (dependents.length > list.length)
+        list.push(`${dependents.length - list.length} more`);
+
+      return `(via ${list.join(', ')})`;
+    };
+
+    let out = `Dependency tree: ${report.packages} packages, `
+      + `${report.names} unique, depth ${report.depth}.\n`;
+
+    out += `\nDuplicate versions (${report.duplicates.length}):\n`;
+
+    for (const {name, versions} of report.duplicates) {
+      const list = versions.map(v => `${v.version} ${via(v.dependents)}`);
+      out += `  ${name}: ${list.join(', ')}\n`;
+    }
+
+    out += `\nOutside of ${this.trustedOrgs.join(', ')}`
+      + ` (${report.untrusted.length}):\n`;
+
+    for (const pkg of report.untrusted) {
+      const repo = pkg.repository ?? 'unknown repository';
+      out += `  ${pkg.name}@${pkg.version} - ${repo} ${via(pkg.dependents)}\n`;
+    }
+
+    out += `\nEngine conflicts (${report.engineConflicts.length}):\n`;
+
+    for (const pkg of report.engineConflicts) {
+      out += `  ${pkg.name}@${pkg.version} requires node ${pkg.engine}, `
+        + `project: ${pkg.project} ${via(pkg.dependents)}\n`;
+    }
+
+    if (report.unresolved.length > 0) {
+      out += `\nUnresolved (${report.unresolved.length}):\n`;
+
+      for (const pkg of report.unresolved) {
+        out += `  ${pkg.name}@${pkg.range} - ${pkg.error} `
+          + `${via(pkg.dependents)}\n`;
+      }
+    }
+
+    return out;
+  }
+
+  /**
+   * Show cache or API status in the step.
+   * @param {String} stepName
+   * @param {Forge} forge
+   * @param {Boolean} cached
+   */
+
+  stepGitMessage(stepName, forge, cached) {
+    if (cached) {
+      this.step(stepName, null, 'Recovered from the cache.');
+      return;
+    }
+
+    this.step(stepName, null, forge.status());
+  }
+
   /**
    * Run everything ?
    */
 
   async run() {
+    if (this.interactive && this.isJSON)
+      throw new this.Error('Interactive fix does not work with JSON output.');
+
     await this.ensureNodePackage();
 
     const tasks = {
       [TASK_GATHER_NPM_DATA]: async () => this.gatherNPMData(),
-      [TASK_GATHER_GITHUB_DATA]: async () => this.gatherGithubData(),
-      [TASK_GATHER_GITHUB_MASTERS]: async () => this.gatherGithubMasters(),
-      [TASK_GATHER_GITHUB_LATESTS]: async () => this.gatherGithubLatests()
+      [TASK_GATHER_GIT_DATA]: async () => this.gatherGitData(),
+      [TASK_GATHER_GIT_MASTERS]: async () => this.gatherGitMasters(),
+      [TASK_GATHER_GIT_LATESTS]: async () => this.gatherGitLatests(),
+      [TASK_RESOLVE_GIT_DEPS]: async () => this.resolveGitDeps()
     };
 
+    if (this.recursive)
+      tasks[TASK_WALK_TREE] = async () => this.walkTree();
+
+    if (this.listUnreleased)
+      tasks[TASK_GATHER_UNRELEASED] = async () => this.gatherUnreleased();
+
+    if (this.verifyTarball)
+      tasks[TASK_VERIFY_TARBALLS] = async () => this.verifyTarballs();
+
     this.registerTasks(Object.keys(tasks));
     await this.runTasks(Object.entries(tasks));
 
-    this.output();
+    const reports = [];
+
+    for (const [pkg] of this.allDeps)
+      reports.push(this.getPackageInfo(pkg));
+
+    if (this.fix)
+      await this.fixRanges(reports);
+
+    this.output(reports);
+  }
+
+  /**
+   * Update ranges that don't resolve to the latest npm release.
+   * Only the ranges are replaced, so formatting and key order
+   * of the package.json stay the same.
+   * @param {PackageReport[]} reports
+   */
+
+  async fixRanges(reports) {
+    for (const report of reports) {
+      const {name, type, range} = report;
+      const latest = report.npm.latest;
+
+      if (!FIX_SECTIONS.includes(type) || this.gitDeps.has(name) || !latest)
+        continue;
+
+      if (report.satisfiesLatest && report.minimumLatest)
+        continue;
+
+      const to = pkgjson.recommendRange(range, latest);
+
+      if (!to || to === range)
+        continue;
+
+      this.fixes.push({ name, type, from: range, to, applied: false });
+    }
+
+    let selected = this.fixes;
+
+    if (this.interactive)
+      selected = await this.selectFixes(this.fixes);
+
+    if (selected.length === 0)
+      return;
+
+    const filename = path.join(this.cwd, 'package.json');
+    const before = await fs.readFile(filename, 'utf8');
+    let after = before;
+
+    for (const fix of selected) {
+      try {
+        after = pkgjson.setDependencyRange(after, fix.type, fix.name, fix.to);
+      } catch (e) {
+        throw new this.Error(`Could not update ${fix.name} (${fix.type}): `
+          + e.message);
+      }
+
+      fix.applied = true;
+    }
+
+    this.fixDiff = diff.unified(before, after, {
+      from: 'a/package.json',
+      to: 'b/package.json'
+    });
+
+    await fs.writeFile(filename, after);
+  }
+
+  /**
+   * Ask which fixes to apply.
+   * @param {RangeFix[]} fixes
+   * @returns {Promise<RangeFix[]>}
+   */
+
+  async selectFixes(fixes) {
+    const selected = [];
+    let all = false;
+
+    for (const fix of fixes) {
+      if (all) {
+        selected.push(fix);
+        continue;
+      }
+
+      const answer = await this.question(
+        `Update ${fix.name} (${fix.type}) ${fix.from} -> ${fix.to}?`
+        + ' [y]es, [n]o, [a]ll, [q]uit: ');
+
+      switch (answer.trim().toLowerCase()) {
+        case 'y':
+        case 'yes':
+          selected.push(fix);
+          break;
+        case 'a':
+        case 'all':
+          selected.push(fix);
+          all = true;
+          break;
+        case 'q':
+        case 'quit':
+          return selected;
+      }
+    }
+
+    return selected;
   }
 
   // printing methods
@@ -258,31 +1009,73 @@ class DependencyCheck extends Command {
     if (this.peerDeps.size)
       out += `, peer: ${this.peerDeps.size}`;
 
-    return `${out}.`;
+    out += '.';
+
+    if (this.lock)
+      out += ` ${LOCK_FILE} v${this.lock.lockfileVersion}.`;
+
+    return out;
   }
 
-  formatPackageInfo(pkg) {
+  /**
+   * Get dependency type of the package.
+   * @param {String} pkg
+   * @returns {String}
+   */
+
+  getDependencyType(pkg) {
+    if (this.deps.has(pkg))
+      return 'dependencies';
+
+    if (this.devDeps.has(pkg))
+      return 'devDependencies';
+
+    if (this.optDeps.has(pkg))
+      return 'optionalDependencies';
+
+    return 'peerDependencies';
+  }
+
+  /**
+   * Collect version information for the package.
+   * @param {String} pkg
+   * @returns {PackageReport}
+   */
+
+  getPackageInfo(pkg) {
     // npm info
     const {engines} = this.packageJSON;
     const pkgEngine = engines ? engines.node : '0.0.0';
     const depVersion = this.allDeps.get(pkg);
+    const gitDep = this.gitDeps.get(pkg);
     const npmInfo = this.npmInfos.get(pkg);
-    const npmLatest = npmInfo['dist-tags'].latest;
-    const npmVersions = util.sortSemver(Object.keys(npmInfo.versions));
-    assert(npmLatest === npmVersions[npmVersions.length - 1]);
-    const npmLatestInfo = npmInfo.versions[npmLatest];
-    const npmLatestEngine = npmLatestInfo.engines?.node ?? '0.0.0';
 
+    let npmLatest = null;
+    let npmLatestEngine = '0.0.0';
+
+    if (npmInfo) {
+      npmLatest = npmInfo['dist-tags'].latest;
+      const npmLatestInfo = npmInfo.versions[npmLatest];
+      npmLatestEngine = npmLatestInfo?.engines?.node ?? '0.0.0';
+    }
+
+    const repository = this.repositories.get(pkg);
     const gitLatest = this.gitLatestTagMasters.get(pkg);
-    const gitMaster = this.gitMasters.get(pkg).object.sha;
+    const gitMaster = this.gitMasters.get(pkg) ?? null;
+
+    const versionCmp = semver.compare(
+      gitLatest?.tag ?? '0.0.0',
+      npmLatest ?? '0.0.0'
+    );
+
+    let latest = gitLatest?.tag ?? null;
 
-    const versionCmp = semver.compare(gitLatest?.tag ?? '0.0.0', npmLatest);
-    const latest = versionCmp === -1 ? `v${npmLatest}` : gitLatest.tag;
+    if (versionCmp === -1)
+      latest = `v${npmLatest}`;
 
     // dep package checks:
     // Latest checks
-    // Missing tag ? (npm has version but not git)
-    // Missing npm release? (git has tag but not npm)
+    // Missing tags and npm releases are in the reconcileVersions.
     // Do we have unreleased content ? tag != master.
     // Figure out totally latest thing.
 
@@ -291,49 +1084,310 @@ class DependencyCheck extends Command {
     // Version check: Do we have latest version ?
     // Will npm install use the latest version?
 
+    const engineMin = semver.minVersion(npmLatestEngine).version;
+    const projectMin = semver.minVersion(pkgEngine).version;
+    const pinned = this.getPinnedReport(pkg, gitLatest, gitMaster);
+
+    // git dependencies only have the range with semver: pin.
+    const range = gitDep ? gitDep.gitURL.extra.version : depVersion;
+
+    let satisfiesLatest = false;
+    let minimumLatest = false;
+
+    if (latest != null && range != null && semver.validRange(range)) {
+      satisfiesLatest = semver.satisfies(latest, range);
+      minimumLatest = semver.eq(semver.minVersion(range), latest);
+    } else if (pinned) {
+      satisfiesLatest = !pinned.behindLatest;
+      minimumLatest = !pinned.behindLatest;
+    }
+
+    /** @type {PackageReport} */
+    const report = {
+      name: pkg,
+      type: this.getDependencyType(pkg),
+      range: depVersion,
+      latest: latest,
+
+      satisfiesLatest: satisfiesLatest,
+      minimumLatest: minimumLatest,
+
+      engine: {
+        required: engineMin,
+        project: projectMin,
+        ok: semver.compare(engineMin, projectMin) !== 1
+      },
+
+      git: {
+        forge: repository ? this.forges.getType(repository) : null,
+        url: repository?.url ?? null,
+        tag: gitLatest?.tag ?? null,
+        sha: gitLatest?.sha ?? null,
+        master: gitMaster,
+        unreleased: gitLatest != null && gitMaster != null
+          && gitLatest.sha !== gitMaster,
+        outdated: versionCmp === -1
+      },
+
+      npm: {
+        latest: npmLatest,
+        outdated: npmLatest != null && versionCmp === 1
+      },
+
+      pinned: pinned,
+      locked: this.getLockReport(pkg, range, npmLatest, pinned),
+      tarball: this.tarballChecks.get(pkg) ?? null,
+      versions: this.reconcileVersions(pkg),
+      unreleased: this.unreleased.get(pkg) ?? null
+    };
+
+    return report;
+  }
+
+  /**
+   * Compare all npm versions with all semver git tags.
+   * @param {String} pkg
+   * @returns {VersionSets|null}
+   */
+
+  reconcileVersions(pkg) {
+    const npmInfo = this.npmInfos.get(pkg);
+
+    if (!npmInfo)
+      return null;
+
+    const npmVersions = util.sortSemver(
+      Object.keys(npmInfo.versions).filter(v => semver.valid(v)));
+    const gitTags = this.gitVersions.get(pkg);
+
+    /** @type {VersionSets} */
+    const sets = {
+      unpublished: null,
+      untagged: null,
+      distTags: checkDistTags(npmInfo['dist-tags'], npmVersions)
+    };
+
+    if (!gitTags)
+      return sets;
+
+    // version -> tag
+    const tagged = new Map();
+
+    for (const {tag} of gitTags) {
+      const version = semver.valid(semver.clean(tag));
+
+      if (version && /^v?\d/.test(tag))
+        tagged.set(version, tag);
+    }
+
+    const published = new Set(npmVersions);
+
+    sets.unpublished = util.sortSemver(Array.from(tagged.keys()))
+      .filter(v => !published.has(v))
+      .map(v => tagged.get(v));
+
+    sets.untagged = npmVersions.filter(v => !tagged.has(v));
+
+    return sets;
+  }
+
+  /**
+   * Compare installed version from the package-lock.json
+   * to the range and npm.
+   * @param {String} pkg
+   * @param {String|null} range
+   * @param {String|null} npmLatest
+   * @param {PinnedReport|null} pinned
+   * @returns {LockReport|null}
+   */
+
+  getLockReport(pkg, range, npmLatest, pinned) {
+    if (!this.lock)
+      return null;
+
+    const locked = this.lock.get(pkg);
+
+    /** @type {LockReport} */
+    const report = {
+      missing: locked == null,
+      version: null,
+      sha: null,
+      satisfies: null,
+      stale: false,
+      published: null,
+      integrity: null
+    };
+
+    if (!locked)
+      return report;
+
+    if (this.gitDeps.has(pkg)) {
+      // v1 stores git url in the version, v2+ in the resolved.
+      const inVersion = locked.version != null
+        && git.isGitUrl(locked.version);
+      const url = inVersion ? locked.version : locked.resolved;
+
+      report.version = inVersion ? null : locked.version;
+      report.sha = url?.split('#')[1] ?? null;
+
+      if (pinned && pinned.sha && report.sha)
+        report.satisfies = pinned.sha.startsWith(report.sha);
+
+      report.stale = pinned != null && pinned.behindLatest;
+
+      return report;
+    }
+
+    report.version = locked.version;
+
+    if (semver.valid(locked.version) && range && semver.validRange(range))
+      report.satisfies = semver.satisfies(locked.version, range);
+
+    if (npmLatest && semver.valid(locked.version))
+      report.stale = semver.lt(locked.version, npmLatest);
+
+    const npmInfo = this.npmInfos.get(pkg);
+
+    if (!npmInfo)
+      return report;
+
+    const dist = npmInfo.versions?.[locked.version]?.dist;
+
+    report.published = dist != null;
+
+    if (dist && locked.integrity)
+      report.integrity = integrityMatches(locked.integrity, getIntegrity(dist));
+
+    return report;
+  }
+
+  /**
+   * Compare pinned ref of the git dependency to the latest tag and master.
+   * @param {String} pkg
+   * @param {Object} [gitLatest] - {tag, sha}
+   * @param {String|null} gitMaster
+   * @returns {PinnedReport|null}
+   */
+
+  getPinnedReport(pkg, gitLatest, gitMaster) {
+    const pin = this.gitPins.get(pkg);
+
+    if (!pin)
+      return null;
+
+    let behindLatest = false;
+
+    if (!gitLatest || pin.ref === gitLatest.tag) {
+      // up to date or nothing to compare to.
+    } else if (pin.ref && git.isVersion(pin.ref)) {
+      behindLatest = semver.lt(pin.ref, semver.coerce(gitLatest.tag));
+    } else {
+      // We don't have the history, so only master is known to be newer.
+      behindLatest = pin.sha !== gitLatest.sha && pin.sha !== gitMaster;
+    }
+
+    return {
+      ...pin,
+      behindLatest: behindLatest,
+      behindMaster: gitMaster != null && pin.sha !== gitMaster
+    };
+  }
+
+  /**
+   * Format package report for the table.
+   * @param {PackageReport} report
+   * @returns {Object}
+   */
+
+  formatPackageInfo(report) {
     const tableEntry = {};
 
-    // Handle git version (if it's resolved from git,
-    // we need to compare it to git latest)
     {
-      const resolved = semver.satisfies(latest, depVersion);
-      const minVersion = semver.minVersion(depVersion);
-      let version = colors.greenText(depVersion);
+      let version = colors.greenText(report.range);
+
+      if (!report.satisfiesLatest)
+        version = colors.redText(report.range);
+      else if (!report.minimumLatest)
+        version = colors.yellowText(report.range);
 
-      if (!resolved)
-        version = colors.redText(depVersion);
-      else  if (!semver.eq(minVersion, latest))
-        version = colors.yellowText(depVersion);
+      if (!report.engine.ok)
+        tableEntry.engine = colors.redText(report.engine.required);
+      else
+        tableEntry.engine = colors.greenText(report.engine.required);
+
+      if (report.pinned)
+        version = `git#${report.pinned.spec}`;
+
+      tableEntry.dependency = `${report.name}@${version}`;
+    }
 
-      const engineMin = semver.minVersion(npmLatestEngine).version;
-      const projectMin = semver.minVersion(pkgEngine).version;
+    if (report.pinned) {
+      const {pinned} = report;
+      let pinText = pinned.ref ?? pinned.sha.substr(0, 8);
 
-      if (semver.compare(engineMin, projectMin) === 1)
-        tableEntry.engine = colors.redText(engineMin);
+      if (pinned.behindLatest)
+        pinText = colors.redText(pinText);
+      else if (pinned.behindMaster)
+        pinText = colors.yellowText(pinText);
       else
-        tableEntry.engine = colors.greenText(engineMin);
+        pinText = colors.greenText(pinText);
 
-      tableEntry.dependency = `${pkg}@${version}`;
+      tableEntry.pinned = pinText;
     }
 
     {
-      let gitText = colors.greenText(gitLatest?.tag ?? 'N/A');
+      let gitText = colors.greenText(report.git.tag ?? 'N/A');
 
-      if (versionCmp === -1)
-        gitText = colors.redText(gitLatest?.tag ?? 'N/A');
+      if (report.git.outdated)
+        gitText = colors.redText(report.git.tag ?? 'N/A');
 
       let unreleased = '';
-      if (gitLatest && gitLatest.sha !== gitMaster)
-        unreleased = colors.redText('*');
+      if (report.git.unreleased)
+        unreleased = colors.redText(`*${report.unreleased?.total ?? ''}`);
 
       tableEntry.git = `${gitText}${unreleased}`;
     }
 
+    if (report.locked) {
+      const {locked} = report;
+      let lockText = locked.version ? `v${locked.version}` : 'N/A';
+
+      if (locked.sha)
+        lockText = locked.sha.substr(0, 8);
+
+      if (locked.missing)
+        lockText = colors.redText('missing');
+      else if (locked.satisfies === false || locked.published === false)
+        lockText = colors.redText(lockText);
+      else if (locked.stale)
+        lockText = colors.yellowText(lockText);
+      else
+        lockText = colors.greenText(lockText);
+
+      if (locked.integrity === false)
+        lockText += colors.redText('!');
+
+      tableEntry.locked = lockText;
+    }
+
+    if (report.tarball) {
+      const {added, modified, error} = report.tarball;
+      let tarText = colors.greenText('ok');
+
+      if (error)
+        tarText = colors.redText('N/A');
+      else if (added.length || modified.length)
+        tarText = colors.redText(`+${added.length} ~${modified.length}`);
+
+      tableEntry.tarball = tarText;
+    }
+
     {
-      let npmText = colors.greenText(`v${npmLatest}`);
+      const npmLatest = report.npm.latest ? `v${report.npm.latest}` : 'N/A';
+      let npmText = colors.greenText(npmLatest);
 
-      if (versionCmp === 1)
-        npmText = colors.redText(`v${npmLatest}`);
+      if (report.npm.outdated)
+        npmText = colors.redText(npmLatest);
 
       tableEntry.npm = npmText;
     }
@@ -341,18 +1395,361 @@ class DependencyCheck extends Command {
     return tableEntry;
   }
 
-  output() {
+  /**
+   * @param {PackageReport[]} reports
+   */
+
+  output(reports) {
+    if (this.isJSON) {
+      this.outputJSON(reports);
+      return;
+    }
+
     this.log(this.generalPackageINfo());
 
     const headers = ['dependency', 'git', 'npm', 'engine'];
-    const table = [];
 
-    for (const [pkg] of this.allDeps) {
-      table.push(this.formatPackageInfo(pkg));
-    }
+    if (reports.some(r => r.pinned != null))
+      headers.push('pinned');
+
+    if (this.lock)
+      headers.push('locked');
+
+    if (this.verifyTarball)
+      headers.push('tarball');
+
+    const table = reports.map(r => this.formatPackageInfo(r));
 
     this.log(util.printTable(headers, table));
+
+    this.log(this.formatVersionSets(reports));
+
+    if (this.listUnreleased)
+      this.log(this.formatUnreleased(reports));
+
+    if (this.verifyTarball)
+      this.log(this.formatTarballChecks(reports));
+
+    if (this.recursive)
+      this.log(this.formatTreeReport(this.getTreeReport()));
+
+    if (this.fix)
+      this.log(this.formatFixes());
+  }
+
+  /**
+   * Diff of the package.json changes.
+   * @returns {String}
+   */
+
+  formatFixes() {
+    if (!this.fixDiff)
+      return 'package.json was not changed.\n';
+
+    const applied = this.fixes.filter(fix => fix.applied).length;
+
+    return `Updated ${applied} ranges in package.json:\n` + this.fixDiff;
+  }
+
+  /**
+   * Summary of the work on master that is not released.
+   * @param {PackageReport[]} reports
+   * @returns {String}
+   */
+
+  formatUnreleased(reports) {
+    let out = '';
+
+    for (const {name, git: gitInfo, unreleased} of reports) {
+      if (!unreleased)
+        continue;
+
+      const {total, commits, prs} = unreleased;
+
+      out += `${name}: ${total} commits since ${gitInfo.tag}`
+        + `, ${prs.length} merged PRs.\n`;
+
+      for (const pr of prs)
+        out += `  #${pr.number} ${pr.title}\n`;
+
+      if (prs.length)
+        continue;
+
+      for (const commit of commits.slice(0, MAX_UNRELEASED_COMMITS))
+        out += `  ${commit.sha.substr(0, 8)} ${commit.subject}\n`;
+
+      if (total > MAX_UNRELEASED_COMMITS)
+        out += `  ... ${total - MAX_UNRELEASED_COMMITS} more.\n`;
+    }
+
+    if (!out)
+      return 'No unreleased commits on master.\n';
+
+    return out;
+  }
+
+  /**
+   * List versions that are only on one side and dist-tag problems.
+   * @param {PackageReport[]} reports
+   * @returns {String}
+   */
+
+  formatVersionSets(reports) {
+    let out = '';
+
+    for (const {name, versions} of reports) {
+      if (!versions)
+        continue;
+
+      const {unpublished, untagged, distTags} = versions;
+      let pkgOut = '';
+
+      if (unpublished?.length) {
+        pkgOut += `  ${colors.yellowText('not on npm:')} `
+          + `${unpublished.join(', ')}\n`;
+      }
+
+      if (untagged?.length) {
+        pkgOut += `  ${colors.redText('not tagged in git:')} `
+          + `${untagged.map(v => `v${v}`).join(', ')}\n`;
+      }
+
+      for (const {tag, version, problem} of distTags) {
+        pkgOut += `  ${colors.redText('dist-tag')} ${tag} -> `
+          + `${version}: ${problem}\n`;
+      }
+
+      if (pkgOut)
+        out += `${name}:\n${pkgOut}`;
+    }
+
+    if (!out)
+      return 'npm versions and git tags match.\n';
+
+    return out;
+  }
+
+  /**
+   * List files that did not match the git tag.
+   * @param {PackageReport[]} reports
+   * @returns {String}
+   */
+
+  formatTarballChecks(reports) {
+    let out = '';
+
+    for (const {name, tarball: check} of reports) {
+      if (!check)
+        continue;
+
+      const {version, tag, added, modified, error} = check;
+
+      if (error) {
+        out += `${name}@${version}: ${colors.redText(error)}\n`;
+        continue;
+      }
+
+      if (!added.length && !modified.length)
+        continue;
+
+      out += `${name}@${version} differs from ${tag}:\n`;
+
+      for (const file of added)
+        out += `  ${colors.redText('+')} ${file}\n`;
+
+      for (const file of modified)
+        out += `  ${colors.yellowText('~')} ${file}\n`;
+    }
+
+    if (!out)
+      return 'All npm tarballs match their git tags.\n';
+
+    return out;
+  }
+
+  /**
+   * @param {PackageReport[]} reports
+   */
+
+  outputJSON(reports) {
+    const data = {
+      summary: {
+        all: this.allDeps.size,
+        dependencies: this.deps.size,
+        devDependencies: this.devDeps.size,
+        optionalDependencies: this.optDeps.size,
+        peerDependencies: this.peerDeps.size
+      },
+      packages: reports
+    };
+
+    if (this.recursive)
+      data.tree = this.getTreeReport();
+
+    if (this.fix) {
+      data.fixes = this.fixes;
+      data.diff = this.fixDiff;
+    }
+
+    this.logJSON(data);
+  }
+}
+
+/**
+ * Resolve ref of the git dependency from the ls-remote,
+ * same way npm would.
+ * @param {Object} info - ls-remote info.
+ * @param {GitUrlExtra} extra
+ * @returns {PinnedRef}
+ */
+
+function resolvePin(info, extra) {
+  const tagSha = (tag) => {
+    const hashes = info.tags[tag];
+
+    // annotated tags are followed by the peeled hash.
+    return hashes ? hashes[hashes.length - 1] : null;
+  };
+
+  if (extra.version != null) {
+    const tags = Object.keys(info.tags).filter(t => semver.valid(t));
+    const tag = semver.maxSatisfying(tags, extra.version);
+
+    return {
+      spec: `semver:${extra.version}`,
+      ref: tag,
+      sha: tag ? tagSha(tag) : null
+    };
+  }
+
+  // npm treats both as committish, e.g. "f2" can be a branch.
+  const name = extra.commit ?? extra.branch;
+
+  if (name != null) {
+    if (info.tags[name])
+      return { spec: name, ref: name, sha: tagSha(name) };
+
+    if (info.branches[name])
+      return { spec: name, ref: name, sha: info.branches[name] };
+
+    const tag = Object.keys(info.tags)
+      .find(t => tagSha(t).startsWith(name));
+
+    if (tag)
+      return { spec: name, ref: tag, sha: tagSha(tag) };
+
+    const sha = Object.values(info.branches)
+      .find(hash => hash.startsWith(name));
+
+    // Commit may not be referenced by any tag or branch.
+    return {
+      spec: name,
+      ref: null,
+      sha: sha ?? (extra.commit != null ? name : null)
+    };
+  }
+
+  return {
+    spec: 'HEAD',
+    ref: null,
+    sha: info.head ?? info.master ?? null
+  };
+}
+
+/**
+ * Find dist-tags that npm users would not expect.
+ * @param {Object} distTags - tag -> version.
+ * @param {String[]} versions - sorted npm versions.
+ * @returns {Object[]} - {tag, version, problem}
+ */
+
+function checkDistTags(distTags, versions) {
+  const problems = [];
+  const stable = versions.filter(v => !semver.prerelease(v));
+  const highest = stable[stable.length - 1] ?? versions[versions.length - 1];
+  const latest = distTags?.latest;
+
+  for (const [tag, version] of Object.entries(distTags || {})) {
+    const add = problem => problems.push({ tag, version, problem });
+
+    if (!versions.includes(version)) {
+      add('version does not exist.');
+      continue;
+    }
+
+    if (tag === 'latest') {
+      if (semver.prerelease(version))
+        add('points at a prerelease.');
+      else if (highest && semver.lt(version, highest))
+        add(`is not the highest version ${highest}.`);
+
+      continue;
+    }
+
+    if (latest && versions.includes(latest) && semver.lt(version, latest))
+      add(`is behind latest ${latest}.`);
+  }
+
+  return problems;
+}
+
+/**
+ * Integrity of the npm dist, old packages only have sha1 shasum.
+ * @param {Object} dist
+ * @returns {String}
+ */
+
+function getIntegrity(dist) {
+  const hashes = [];
+
+  if (dist.integrity)
+    hashes.push(dist.integrity);
+
+  if (dist.shasum) {
+    const sha1 = Buffer.from(dist.shasum, 'hex').toString('base64');
+    hashes.push(`sha1-${sha1}`);
   }
+
+  return hashes.join(' ');
+}
+
+/**
+ * Whether the spec is resolved from the registry:
+ * version, range or dist-tag. Not git, file, alias or tarball.
+ * @param {String} spec
+ * @returns {Boolean}
+ */
+
+function isRegistrySpec(spec) {
+  if (semver.validRange(spec))
+    return true;
+
+  return /^[\w.-]+$/.test(spec);
+}
+
+/**
+ * Resolve the version npm would install for the range.
+ * @param {Object} info - npm package info.
+ * @param {String} range - version, range or dist-tag.
+ * @returns {String|null}
+ */
+
+function resolveVersion(info, range) {
+  const distTags = info['dist-tags'] || {};
+
+  if (distTags[range])
+    return distTags[range];
+
+  if (!semver.validRange(range))
+    return null;
+
+  const latest = distTags.latest;
+
+  // npm prefers the latest tag when it satisfies the range.
+  if (latest && semver.satisfies(latest, range))
+    return latest;
+
+  return semver.maxSatisfying(Object.keys(info.versions || {}), range);
 }
 
 exports.DependencyCheck = DependencyCheck;
@@ -0,0 +1,478 @@
+/*!
+ * commands/deps.js - Dependencies between tracked packages.
+ * Copyright (c) 2026, Nodari Chkuaselidze (MIT License).
+ * https://github.com/nodech/hs-tools
+ */
+
+'use strict';
+
+const {PackagesCommand} = require('./pkg');
+const colors = require('../utils/colors');
+const semver = require('../../vendor/semver');
+
+const TASK_LOAD = 'Load tracked packages.';
+const TASK_REFRESH = 'Refresh package data.';
+const TASK_SAVE = 'Save tracked packages.';
+
+const GRAPH_FORMATS = ['text', 'dot', 'json'];
+const BUMPS = ['major', 'minor', 'patch'];
+
+/**
+ * @typedef {Object} GraphNode
+ * @property {String} name
+ * @property {String|null} git - latest git version.
+ * @property {String|null} npm - latest npm version.
+ * @property {Number} outdated - number of dependents pinning old version.
+ */
+
+/**
+ * @typedef {Object} GraphEdge
+ * @property {String} from - dependent.
+ * @property {String} to - dependency.
+ * @property {String} type - dependencies or devDependencies.
+ * @property {String} kind - git or npm.
+ * @property {String} range
+ * @property {String|null} version
+ * @property {String|null} ref
+ * @property {String|null} latest
+ * @property {Boolean} outdated
+ */
+
+/**
+ * @typedef {Object} DependencyGraph
+ * @property {GraphNode[]} nodes
+ * @property {GraphEdge[]} edges
+ */
+
+/**
+ * Reverse dependency graph of the tracked packages.
+ */
+
+class DepsGraph extends PackagesCommand {
+  constructor(options) {
+    super(options);
+
+    // Only show dependents of this package.
+    this.pkg = options.pkg || null;
+    this.format = options.format || 'text';
+    this.dev = options.dev ?? true;
+  }
+
+  async run() {
+    if (!GRAPH_FORMATS.includes(this.format)) {
+      throw new this.Error(`Unknown format "${this.format}", `
+        + `available: ${GRAPH_FORMATS.join(', ')}.`);
+    }
+
+    const tasks = {
+      [TASK_LOAD]: async () => {
+        await this.load();
+
+        if (this.pkg)
+          this.getPackage(this.pkg);
+      },
+      [TASK_REFRESH]: async () => this.refreshAll(),
+      [TASK_SAVE]: async () => this.save()
+    };
+
+    this.registerTasks(Object.keys(tasks));
+    await this.runTasks(Object.entries(tasks));
+
+    const graph = this.buildGraph(this.getDependencyInfo());
+
+    if (this.isJSON || this.format === 'json') {
+      this.logJSON(graph);
+      return;
+    }
+
+    if (graph.nodes.length === 0) {
+      this.log('No packages are tracked, use "pkg add".');
+      return;
+    }
+
+    if (this.format === 'dot') {
+      this.log(formatDOT(graph));
+      return;
+    }
+
+    this.log(formatTree(graph, this.pkg));
+  }
+
+  /**
+   * @param {DependencyInfo} depinfo
+   * @returns {DependencyGraph}
+   */
+
+  buildGraph(depinfo) {
+    const nodes = new Map();
+    const edges = [];
+
+    for (const details of this.packages.packages.values()) {
+      nodes.set(details.name, {
+        name: details.name,
+        git: details.gitInfo.latest ?? null,
+        npm: details.npmInfo.latest ?? null,
+        outdated: 0
+      });
+    }
+
+    for (const [name, resolved] of depinfo.resolvedDependencies) {
+      for (const dep of resolved) {
+        if (!this.dev && dep.type === 'devDependencies')
+          continue;
+
+        edges.push({
+          from: name,
+          to: dep.name,
+          type: dep.type,
+          kind: dep.kind,
+          range: dep.range,
+          version: dep.version,
+          ref: dep.ref,
+          latest: dep.latest,
+          outdated: dep.outdated
+        });
+      }
+    }
+
+    const graph = this.pkg
+      ? filterDependents(nodes, edges, this.pkg)
+      : { nodes: Array.from(nodes.values()), edges: edges };
+
+    for (const edge of graph.edges) {
+      if (edge.outdated)
+        nodes.get(edge.to).outdated += 1;
+    }
+
+    return graph;
+  }
+}
+
+/**
+ * Order of the releases after the package is bumped.
+ */
+
+class DepsPlanRelease extends PackagesCommand {
+  constructor(options) {
+    super(options);
+
+    this.pkg = options.pkg;
+    this.bump = options.bump || null;
+    this.release = options.release || null;
+  }
+
+  async run() {
+    if (!this.pkg)
+      throw new this.Error('Package name is required.');
+
+    if (!this.bump && !this.release)
+      throw new this.Error('--bump or --release is required.');
+
+    if (this.bump && !BUMPS.includes(this.bump)) {
+      throw new this.Error(`Unknown bump "${this.bump}", `
+        + `available: ${BUMPS.join(', ')}.`);
+    }
+
+    if (this.release && !semver.valid(this.release))
+      throw new this.Error(`Release "${this.release}" is not a version.`);
+
+    const tasks = {
+      [TASK_LOAD]: async () => {
+        await this.load();
+        this.getPackage(this.pkg);
+      },
+      [TASK_REFRESH]: async () => this.refreshAll(),
+      [TASK_SAVE]: async () => this.save()
+    };
+
+    this.registerTasks(Object.keys(tasks));
+    await this.runTasks(Object.entries(tasks));
+
+    const depinfo = this.getDependencyInfo();
+    const plan = this.plan(depinfo);
+
+    if (this.isJSON) {
+      this.logJSON({ package: this.pkg, ...plan });
+      return;
+    }
+
+    this.log(formatPlan(plan));
+  }
+
+  /**
+   * @param {DependencyInfo} depinfo
+   * @returns {ReleasePlan}
+   */
+
+  plan(depinfo) {
+    const version = depinfo.getVersion(this.pkg);
+    let release = this.release;
+
+    if (!release) {
+      if (!version) {
+        throw new this.Error(
+          `${this.pkg} has no versions, use --release instead.`);
+      }
+
+      release = semver.inc(version, this.bump);
+    }
+
+    if (version && !semver.gt(release, version)) {
+      throw new this.Error(
+        `Release v${release} is not higher than v${version}.`);
+    }
+
+    try {
+      return depinfo.planRelease(this.pkg, semver.clean(release));
+    } catch (e) {
+      throw new this.Error(e.message);
+    }
+  }
+}
+
+/**
+ * Git urls are too long, only keep the ref.
+ * @param {String} range
+ * @param {String} kind - git or npm.
+ * @returns {String}
+ */
+
+function formatRange(range, kind) {
+  if (kind !== 'git')
+    return range;
+
+  const [, extra] = range.split('#');
+
+  return extra ? `git#${extra}` : 'git';
+}
+
+/**
+ * @param {ReleasePlan} plan
+ * @returns {String}
+ */
+
+function formatPlan(plan) {
+  const lines = [];
+  const formatVersion = version => version ? `v${version}` : 'N/A';
+
+  for (const [i, step] of plan.steps.entries()) {
+    let line = `${i + 1}. ${step.name} `;
+
+    if (step.release) {
+      line += `${formatVersion(step.version)} -> v${step.release}`;
+      line += ` (${step.bump}${step.breaking ? ', breaking' : ''})`;
+    } else if (step.bump) {
+      line += `${colors.redText('N/A')} (${step.bump}, not released yet)`;
+    } else {
+      line += '(update devDependencies, no release)';
+    }
+
+    lines.push(line);
+
+    for (const change of step.changes) {
+      const from = formatRange(change.from, change.kind);
+      const to = change.to
+        ? formatRange(change.to, change.kind)
+        : colors.redText('update manually');
+
+      lines.push(`     ${change.type} ${change.name}: ${from} -> ${to}`);
+    }
+  }
+
+  if (plan.unaffected.length > 0) {
+    lines.push('');
+    lines.push(`Not affected: ${plan.unaffected.join(', ')}.`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * @param {GraphEdge} edge
+ * @returns {String}
+ */
+
+function formatResolved(edge) {
+  if (edge.version)
+    return `v${edge.version}`;
+
+  if (edge.ref)
+    return edge.ref;
+
+  return 'unresolved';
+}
+
+/**
+ * Tree of dependents, starting from the packages that don't
+ * depend on other tracked packages.
+ * @param {DependencyGraph} graph
+ * @param {String|null} root
+ * @returns {String}
+ */
+
+function formatTree(graph, root) {
+  const dependents = new Map();
+  const hasDeps = new Set();
+
+  for (const node of graph.nodes)
+    dependents.set(node.name, []);
+
+  for (const edge of graph.edges) {
+    dependents.get(edge.to).push(edge);
+    hasDeps.add(edge.from);
+  }
+
+  const nodes = new Map(graph.nodes.map(node => [node.name, node]));
+  const expanded = new Set();
+  const lines = [];
+
+  const formatNode = (node) => {
+    const version = node.npm || node.git;
+    let line = version ? `${node.name} v${version}` : node.name;
+
+    if (node.outdated > 0)
+      line += colors.redText(` (${node.outdated} outdated dependents)`);
+
+    return line;
+  };
+
+  const formatEdge = (edge) => {
+    const range = formatRange(edge.range, edge.kind);
+    let line = `${edge.from} ${range} -> ${formatResolved(edge)}`;
+
+    if (edge.type === 'devDependencies')
+      line += ' (dev)';
+
+    if (edge.outdated)
+      line = colors.redText(`${line}, latest v${edge.latest}`);
+
+    return line;
+  };
+
+  const walk = (name, prefix, path) => {
+    const edges = dependents.get(name);
+
+    expanded.add(name);
+
+    for (let i = 0; i < edges.length; i++) {
+      const edge = edges[i];
+      const last = i === edges.length - 1;
+      let line = formatEdge(edge);
+
+      if (path.has(edge.from))
+        line += ' (cycle)';
+      else if (expanded.has(edge.from) && dependents.get(edge.from).length)
+        line += ' (see above)';
+
+      lines.push(`${prefix}${last ? '└── ' : '├── '}${line}`);
+
+      if (path.has(edge.from) || expanded.has(edge.from))
+        continue;
+
+      path.add(edge.from);
+      walk(edge.from, prefix + (last ? '    ' : '│   '), path);
+      path.delete(edge.from);
+    }
+  };
+
+  const start = (name) => {
+    lines.push(formatNode(nodes.get(name)));
+    walk(name, '', new Set([name]));
+  };
+
+  if (root) {
+    start(root);
+    return lines.join('\n');
+  }
+
+  for (const node of graph.nodes) {
+    if (!hasDeps.has(node.name))
+      start(node.name);
+  }
+
+  // Packages that only depend on each other.
+  for (const node of graph.nodes) {
+    if (!expanded.has(node.name))
+      start(node.name);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Keep only the package and the packages that depend on it,
+ * directly or through other packages.
+ * @param {Map<String, GraphNode>} nodes
+ * @param {GraphEdge[]} edges
+ * @param {String} name
+ * @returns {DependencyGraph}
+ */
+
+function filterDependents(nodes, edges, name) {
+  const keep = new Set([name]);
+  const queue = [name];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+
+    for (const edge of edges) {
+      if (edge.to !== current || keep.has(edge.from))
+        continue;
+
+      keep.add(edge.from);
+      queue.push(edge.from);
+    }
+  }
+
+  return {
+    nodes: Array.from(nodes.values()).filter(node => keep.has(node.name)),
+    edges: edges.filter(edge => keep.has(edge.from) && keep.has(edge.to))
+  };
+}
+
+/**
+ * Graphviz DOT, edges point from the dependent to the dependency.
+ * @param {DependencyGraph} graph
+ * @returns {String}
+ */
+
+function formatDOT(graph) {
+  const quote = str => JSON.stringify(str);
+  const lines = [];
+
+  lines.push('digraph dependencies {');
+  lines.push('  rankdir=LR;');
+  lines.push('  node [shape=box];');
+
+  for (const node of graph.nodes) {
+    const version = node.npm || node.git;
+    const label = version ? `${node.name}\nv${version}` : node.name;
+    let attrs = `label=${quote(label)}`;
+
+    if (node.outdated > 0)
+      attrs += ', color=red';
+
+    lines.push(`  ${quote(node.name)} [${attrs}];`);
+  }
+
+  for (const edge of graph.edges) {
+    const range = formatRange(edge.range, edge.kind);
+    const label = `${range}\n${formatResolved(edge)}`;
+    let attrs = `label=${quote(label)}`;
+
+    if (edge.type === 'devDependencies')
+      attrs += ', style=dashed';
+
+    if (edge.outdated)
+      attrs += ', color=red, fontcolor=red';
+
+    lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)} [${attrs}];`);
+  }
+
+  lines.push('}');
+
+  return lines.join('\n');
+}
+
+exports.DepsGraph = DepsGraph;
+exports.DepsPlanRelease = DepsPlanRelease;
@@ -6,13 +6,18 @@
 
 'use strict';
 
-const {resolve} = require('node:dns').promises;
+const path = require('path');
+const fs = require('bfile');
 const {Command} = require('./command');
 const {Semaphore} = require('../utils/semaphore');
 const util = require('../utils/util');
 const colors = require('../utils/colors');
 const {fetchSem, fetchCached} = require('../utils/fetch');
 const {NullCache, T_MINUTE} = require('../cache');
+const {NetAddress} = require('../netaddr');
+const {SeedsFile, SEEDS_FILE} = require('../hsdseeds');
+const diff = require('../utils/diff');
+const {SeedScorer, selectSeeds} = require('../seedscore');
 
 const CACHE_NAME = 'hs-genseeds';
 
@@ -23,14 +28,21 @@ const HSD_NODES_SEEDS_URL = 'https://hnsnodes.htools.work/api/v1/snapshots/lates
 const NETHEALTH_URL = 'https://hsdnethealth.nodech.dev/data/nodes';
 const NETHEALTH_GENERAL = `${NETHEALTH_URL}/general.json`;
 const NETHEALTH_ONLINE = `${NETHEALTH_URL}/online-now.json`;
-const NETHEALTH_NODE = addr => `${NETHEALTH_URL}/hosts/${addr}/general.json`;
-const NETHEALTH_5MONTHS = (ip, port) => {
-  return `${NETHEALTH_URL}/hosts/${ip}/${port}-history-day-5month.json`;
+const NETHEALTH_NODE = host => `${NETHEALTH_URL}/hosts/${host}/general.json`;
+const NETHEALTH_5MONTHS = (host, port) => {
+  return `${NETHEALTH_URL}/hosts/${host}/${port}-history-day-5month.json`;
 };
 
 const PORT_CLEAR = 12038;
 
+const FORMATS = ['ui', 'seeds', 'hsd-seeds'];
+
+// Subnet cap when the seed list is generated.
+const MAX_PER_SUBNET = 2;
+
 const TASK_GET_SEEDS = 'Gather seeds';
+const TASK_RESOLVE_SEEDS = 'Resolve seed hostnames';
+const STEP_RESOLVE_SEED = seed => `Resolve ${seed}`;
 const TASK_GET_NODE_DETAILS = 'Gather node details';
 const STEP_GET_NODE_DETAILS = seed => `Get ${seed} info`;
 
@@ -45,7 +57,8 @@ const STEP_GET_NODE_DETAILS = seed => `Get ${seed} info`;
 
 /**
  * @typedef {Object} SeedData
- * @property {string} addr
+ * @property {string} addr - host:port
+ * @property {String} type - ipv4, ipv6, onion or name.
  * @property {boolean} isMainSeed
  * @property {boolean} isGeneratedSeed
  * @property {boolean} isOnline
@@ -71,6 +84,10 @@ class GenerateSeeds extends Command {
     this.outputFormat = options.format ?? 'ui';
     this.outputSort = options.sort ?? 'uptime';
 
+    // hsd-seeds format: hsd checkout to merge the seeds into.
+    this.hsdPath = options.hsdPath || null;
+    this.write = options.write ?? false;
+
     this.noCategories = options.noCategories ?? false;
 
     this.ignoreMain = options.ignoreMain ?? false;
@@ -82,6 +99,24 @@ class GenerateSeeds extends Command {
     this.filterPruned = options.filterPruned ?? true;
     this.filterHeight = options.filterHeight ?? 0;
 
+    // Selection of the non main seeds by score, subnet cap is
+    // only on by default with --max-seeds or hsd-seeds format.
+    this.maxSeeds = options.maxSeeds ?? 0;
+    this.maxPerSubnet = options.maxPerSubnet ?? null;
+
+    if (this.maxPerSubnet == null) {
+      const generate = this.maxSeeds > 0 || this.outputFormat === 'hsd-seeds';
+      this.maxPerSubnet = generate ? MAX_PER_SUBNET : 0;
+    }
+
+    this.scorer = new SeedScorer({
+      Error: this.Error,
+      weights: options.seedWeights
+    });
+
+    /** @type {Map<string, NetAddress>} - host:port -> address. */
+    this.addresses = new Map();
+
     /** @type {Set<string>} */
     this.bcoinNinja = new Set();
 
@@ -129,7 +164,7 @@ class GenerateSeeds extends Command {
       fileName: fileName,
       expire: 5 * T_MINUTE,
 
-      sema: this.fetchSem,
+      semaphore: this.fetchSem,
 
       method: 'GET',
       url: url
@@ -138,24 +173,50 @@ class GenerateSeeds extends Command {
     return response;
   };
 
-  async getHtoolsWorkSeeds() {
-    const seeds = await resolve(HTOOLS_SEED);
+  /**
+   * Add the seed to the list and to all seeds,
+   * sources with invalid hosts are ignored.
+   * @param {Set<string>} list
+   * @param {String} host
+   * @param {Number|String} port
+   */
 
-    for (const seed of seeds) {
-      const addr = `${seed}:${PORT_CLEAR}`;
-      this.htoolsWork.add(addr);
-      this.allSeeds.add(addr);
+  addSeed(list, host, port) {
+    let addr;
+
+    try {
+      addr = NetAddress.fromHost(host, Number(port));
+    } catch (e) {
+      return;
     }
+
+    const hostname = addr.toHostname();
+
+    list.add(hostname);
+    this.allSeeds.add(hostname);
+
+    if (!this.addresses.has(hostname))
+      this.addresses.set(hostname, addr);
   }
 
-  async getBcoinNinjaSeeds() {
-    const seeds = await resolve(BCOIN_NINJA);
+  /**
+   * @param {Set<string>} list
+   * @param {String} name - DNS seed.
+   */
 
-    for (const seed of seeds) {
-      const addr = `${seed}:${PORT_CLEAR}`;
-      this.bcoinNinja.add(addr);
-      this.allSeeds.add(addr);
-    }
+  async addDNSSeeds(list, name) {
+    const addrs = await NetAddress.fromHost(name, PORT_CLEAR).resolve();
+
+    for (const addr of addrs)
+      this.addSeed(list, addr.host, addr.port);
+  }
+
+  async getHtoolsWorkSeeds() {
+    await this.addDNSSeeds(this.htoolsWork, HTOOLS_SEED);
+  }
+
+  async getBcoinNinjaSeeds() {
+    await this.addDNSSeeds(this.bcoinNinja, BCOIN_NINJA);
   }
 
   async getHsdnodesSeeds() {
@@ -164,26 +225,24 @@ class GenerateSeeds extends Command {
     if (seeds.status !== 'success')
       return;
 
-    for (const seed of seeds.data) {
-      const addr = `${seed[0]}:${seed[1]}`;
-      this.hsdnodesToolsSeeds.add(addr);
-      this.allSeeds.add(addr);
-    }
+    for (const [host, port] of seeds.data)
+      this.addSeed(this.hsdnodesToolsSeeds, host, port);
   }
 
   /**
+   * @param {NetAddress} netaddr
    * @param {Object} nethealthEntry
    * @returns {SeedData}
    */
 
-  seedDataFromEntry(entry) {
+  seedDataFromEntry(netaddr, entry) {
     const lastUp = entry.lastUp;
-    const lastStatus = entry.lastStatus;
-    const addr = lastStatus.info.host + ':' + lastStatus.info.port;
+    const addr = netaddr.toHostname();
 
     /** @type {SeedData} */
     const seedData = {
       addr,
+      type: netaddr.type,
       isMainSeed: this.mainSeeds.has(addr),
       isGeneratedSeed: this.generatedSeeds.has(addr),
       isOnline: entry.isUp,
@@ -224,29 +283,16 @@ class GenerateSeeds extends Command {
       this.get(NETHEALTH_GENERAL)
     ]);
 
-    for (const [ip, data] of Object.entries(online.data)) {
-      for (const port of Object.keys(data)) {
-        const addr = `${ip}:${port}`;
-        this.nethealthSeeds.add(addr);
-        this.allSeeds.add(addr);
-      }
-    }
-
-    for (const [ip, data] of Object.entries(general.mainSeeds.statuses)) {
-      for (const port of Object.keys(data)) {
-        const addr = `${ip}:${port}`;
-
-        this.mainSeeds.add(addr);
-        this.allSeeds.add(addr);
-      }
-    }
-
-    for (const [ip, data] of Object.entries(general.generatedSeeds.statuses)) {
-      for (const port of Object.keys(data)) {
-        const addr = `${ip}:${port}`;
+    const lists = [
+      [this.nethealthSeeds, online.data],
+      [this.mainSeeds, general.mainSeeds.statuses],
+      [this.generatedSeeds, general.generatedSeeds.statuses]
+    ];
 
-        this.generatedSeeds.add(addr);
-        this.allSeeds.add(addr);
+    for (const [list, hosts] of lists) {
+      for (const [host, data] of Object.entries(hosts)) {
+        for (const port of Object.keys(data))
+          this.addSeed(list, host, port);
       }
     }
   }
@@ -273,16 +319,72 @@ class GenerateSeeds extends Command {
     await this.runParallelSteps(steps, sem);
   }
 
+  /**
+   * Replace hostnames with their addresses in all lists,
+   * same as checkseeds. Seeds that could not be resolved are dropped.
+   */
+
+  async resolveAllSeeds() {
+    const lists = [
+      this.bcoinNinja,
+      this.htoolsWork,
+      this.hsdnodesToolsSeeds,
+      this.nethealthSeeds,
+      this.mainSeeds,
+      this.generatedSeeds
+    ];
+
+    const names = Array.from(this.addresses.values())
+      .filter(addr => addr.isName());
+
+    const steps = new Map();
+
+    for (const addr of names) {
+      const seed = addr.toHostname();
+      const stepName = STEP_RESOLVE_SEED(seed);
+
+      this.step(stepName);
+
+      steps.set(stepName, async () => {
+        const sources = lists.filter(list => list.delete(seed));
+
+        this.addresses.delete(seed);
+        this.allSeeds.delete(seed);
+
+        let resolved;
+
+        try {
+          resolved = await addr.resolve();
+        } catch (e) {
+          this.failedToGet.add(seed);
+          throw e;
+        }
+
+        for (const list of sources) {
+          for (const {host, port} of resolved)
+            this.addSeed(list, host, port);
+        }
+      });
+    }
+
+    const sem = new Semaphore(3);
+    await this.runParallelSteps(steps, sem);
+  }
+
+  /**
+   * @param {String} seed - host:port
+   */
+
   async getNodeDetails(seed) {
-    const ip = seed.split(':')[0];
-    const port = seed.split(':')[1];
+    const addr = this.addresses.get(seed);
+    const {host, port} = addr;
 
     let general, months5;
 
     try {
       const results = await Promise.all([
-        this.getCachedNethealth(NETHEALTH_NODE(ip)),
-        this.getCachedNethealth(NETHEALTH_5MONTHS(ip, port))
+        this.getCachedNethealth(NETHEALTH_NODE(host)),
+        this.getCachedNethealth(NETHEALTH_5MONTHS(host, port))
       ]);
 
       general = results[0];
@@ -302,7 +404,7 @@ class GenerateSeeds extends Command {
       throw new Error(`Port ${port} not found in general.json`);
     }
 
-    const data = this.seedDataFromEntry(general.general[port]);
+    const data = this.seedDataFromEntry(addr, general.general[port]);
     data.uptime5months = Months5Data.fromEntries(months5.data);
 
     this.seedData.set(seed, data);
@@ -326,14 +428,33 @@ class GenerateSeeds extends Command {
   }
 
   async run() {
+    if (!FORMATS.includes(this.outputFormat)) {
+      throw new this.Error(`Unknown format "${this.outputFormat}", `
+        + `available: ${FORMATS.join(', ')}.`);
+    }
+
+    if (this.outputFormat === 'hsd-seeds' && !this.hsdPath)
+      throw new this.Error('--hsd-path is required for hsd-seeds format.');
+
     const tasks = {
       [TASK_GET_SEEDS]: () => this.getSeeds(),
+      [TASK_RESOLVE_SEEDS]: () => this.resolveAllSeeds(),
       [TASK_GET_NODE_DETAILS]: () => this.getAllNodeDetails()
     };
 
     this.registerTasks(Object.keys(tasks));
     await this.runTasks(Object.entries(tasks));
 
+    if (this.outputFormat === 'hsd-seeds') {
+      await this.outputHSDSeeds();
+      return;
+    }
+
+    if (this.isJSON) {
+      this.outputJSON();
+      return;
+    }
+
     if (this.outputFormat === 'seeds') {
       this.outputSeeds();
       return;
@@ -356,6 +477,7 @@ class GenerateSeeds extends Command {
     tableEntry.on = formatYN(entry.isOnline);
     tableEntry.height = String(entry.lastHeight);
     tableEntry.rawHeight = String(entry.lastHeight);
+    tableEntry.addr = this.addresses.get(entry.addr);
     tableEntry.uptime = entry.uptime5months.onlinePerc.toFixed(2) + '%';
     tableEntry.full = entry.uptime5months.fullPerc.toFixed(2) + '%';
 
@@ -382,13 +504,17 @@ class GenerateSeeds extends Command {
       return bheight - aheight;
     };
 
-    const compareIP = (a, b) => a.seed.localeCompare(b.seed);
+    const compareIP = (a, b) => a.addr.compare(b.addr);
+    const sortByScore = (a, b) => b.rawScore.total - a.rawScore.total;
 
     let chosenSort = sortRawUptime;
 
     if (this.outputSort === 'height')
       chosenSort = sortByHeight;
 
+    if (this.outputSort === 'score')
+      chosenSort = sortByScore;
+
     if (this.outputSort === 'ip')
       chosenSort = compareIP;
 
@@ -450,11 +576,46 @@ class GenerateSeeds extends Command {
       .filter(filterHeight);
   }
 
+  /**
+   * Main seeds are always kept, others are picked by the score
+   * with --max-seeds and --max-per-subnet.
+   * @param {Object[]} data - filtered table entries.
+   * @returns {Object[]}
+   */
+
+  select(data) {
+    const scores = this.scorer.score(data.map((d) => {
+      return {
+        addr: d.addr,
+        uptime5months: d.entry.uptime5months,
+        lastVersion: d.entry.lastVersion
+      };
+    }));
+
+    for (const [i, d] of data.entries()) {
+      d.rawScore = scores[i];
+      d.score = scores[i].total.toFixed(2);
+    }
+
+    const mains = data.filter(d => d.entry.isMainSeed);
+    const candidates = data
+      .filter(d => !d.entry.isMainSeed)
+      .sort((a, b) => b.rawScore.total - a.rawScore.total);
+
+    const selected = selectSeeds(candidates, {
+      maxSeeds: this.maxSeeds,
+      maxPerSubnet: this.maxPerSubnet,
+      taken: mains.map(d => d.addr)
+    });
+
+    return [...mains, ...selected];
+  }
+
   getData() {
     const seedEntries = Array.from(this.seedData.values())
       .map(this.formatSeedData.bind(this));
 
-    return this.sort(this.filter(seedEntries));
+    return this.sort(this.select(this.filter(seedEntries)));
   }
 
   outputUI() {
@@ -464,6 +625,7 @@ class GenerateSeeds extends Command {
       'height',
       'uptime',
       'full',
+      'score',
       'ninja',
       'htools',
       'htoolsDNS',
@@ -501,6 +663,32 @@ class GenerateSeeds extends Command {
     }
   }
 
+  outputJSON() {
+    const data = this.getData();
+
+    const seeds = data.map((d) => {
+      let category = 'other';
+
+      if (d.entry.isMainSeed)
+        category = 'main';
+      else if (d.entry.isGeneratedSeed)
+        category = 'generated';
+
+      return {
+        ...d.entry,
+        category: category,
+        score: d.rawScore,
+        nethealth: this.nethealthSeeds.has(d.entry.addr)
+      };
+    });
+
+    this.logJSON({
+      total: seeds.length,
+      failed: Array.from(this.failedToGet),
+      seeds: seeds
+    });
+  }
+
   outputSeeds() {
     const data = this.getData();
 
@@ -512,11 +700,77 @@ class GenerateSeeds extends Command {
     this.log(' ...');
 
     for (const entry of newgens) {
-      this.log(` '${entry.seed.split(':')[0]}',`);
+      const addr = this.addresses.get(entry.seed);
+      this.log(` '${addr.toSeedString()}',`);
     }
 
     this.log('];');
   }
+
+  /**
+   * Merge selected seeds into the generated seeds of hsd
+   * and show the diff, or write it with --write.
+   */
+
+  async outputHSDSeeds() {
+    const filename = path.join(this.hsdPath, SEEDS_FILE);
+
+    if (!await fs.exists(filename))
+      throw new this.Error(`Could not find ${filename}.`);
+
+    const before = await fs.readFile(filename, 'utf8');
+    let file;
+
+    try {
+      file = SeedsFile.fromSource(before);
+    } catch (e) {
+      throw new this.Error(`${filename}: ${e.message}`);
+    }
+
+    const selected = this.getData()
+      .filter(d => !d.entry.isMainSeed)
+      .map(d => d.addr);
+
+    // Seeds we could not check stay in the list.
+    const merge = file.mergeGenerated(selected, (hostname) => {
+      return this.seedData.has(hostname);
+    });
+
+    const after = file.toString();
+    const patch = diff.unified(before, after, {
+      from: `a/${SEEDS_FILE}`,
+      to: `b/${SEEDS_FILE}`
+    });
+
+    if (this.write && patch)
+      await fs.writeFile(filename, after);
+
+    if (this.isJSON) {
+      this.logJSON({
+        file: filename,
+        added: merge.added,
+        removed: merge.removed,
+        failed: Array.from(this.failedToGet),
+        written: this.write && patch.length > 0,
+        diff: patch
+      });
+      return;
+    }
+
+    if (!patch) {
+      this.log(`${SEEDS_FILE} is up to date.`);
+      return;
+    }
+
+    if (this.write) {
+      this.log(`Updated ${filename}: ${merge.added.length} added, `
+        + `${merge.removed.length} removed.`);
+      return;
+    }
+
+    // patch already ends with the new line.
+    this.log(patch.slice(0, -1));
+  }
 }
 
 function extractVersion(version) {
@@ -547,6 +801,27 @@ class Months5Data {
     return percent(full, this.countSync);
   }
 
+  get fullTreePerc() {
+    if (this.countSync === 0)
+      return 0;
+
+    const fullTree = this.countSync - this.countCompacted;
+    return percent(fullTree, this.countSync);
+  }
+
+  toJSON() {
+    return {
+      countSync: this.countSync,
+      countSPV: this.countSPV,
+      countPruned: this.countPruned,
+      countCompacted: this.countCompacted,
+      total: this.total,
+      onlinePerc: this.onlinePerc,
+      fullPerc: this.fullPerc,
+      fullTreePerc: this.fullTreePerc
+    };
+  }
+
   fromEntries(entries) {
     for (const entry of Object.values(entries)) {
       this.countSync += entry.canSync;
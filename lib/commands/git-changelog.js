@@ -0,0 +1,158 @@
+/*!
+ * commands/git-changelog.js - Draft CHANGELOG from the PR merges.
+ * Copyright (c) 2026, Nodari Chkuaselidze (MIT License).
+ * https://github.com/nodech/hs-tools
+ */
+
+'use strict';
+
+const {GitPRLog} = require('./git-prlog');
+
+// refs can't start or end with the dot, so "..." is rejected as well.
+const RANGE_REGEX = /^([^.].*?[^.]|[^.])\.\.([^.].*[^.]|[^.])$/;
+
+/**
+ * Sections in the order they are rendered. PR goes to the first
+ * section which has a matching label, otherwise to "Other changes".
+ */
+
+const SECTIONS = [
+  ['Breaking changes', label => label.includes('breaking')],
+  ['Features', label => label.includes('feature')
+    || label.includes('enhancement')],
+  ['Bug fixes', label => label.includes('bug') || label.includes('fix')]
+];
+
+const SECTION_OTHER = 'Other changes';
+
+/**
+ * @typedef {Object} ChangelogEntry
+ * @property {Number} pr
+ * @property {String} title
+ * @property {String|null} author
+ * @property {String} url
+ * @property {String[]} labels
+ */
+
+/**
+ * @typedef {Object} ChangelogSection
+ * @property {String} title
+ * @property {ChangelogEntry[]} entries
+ */
+
+class GitChangelog extends GitPRLog {
+  constructor(options) {
+    super(options);
+
+    if (typeof options.range !== 'string')
+      throw new this.Error('Range <from>..<to> is required.');
+
+    const match = options.range.match(RANGE_REGEX);
+
+    if (!match)
+      throw new this.Error(`Invalid range "${options.range}".`);
+
+    this.range = options.range;
+    this.from = match[1];
+    this.to = match[2];
+    this.title = options.title || this.to;
+  }
+
+  /**
+   * Collect merged PRs from the log.
+   * @returns {ChangelogEntry[]}
+   */
+
+  getPREntries() {
+    const entries = [];
+
+    for (const entry of this.getLogEntries()) {
+      if (!entry.merge || entry.pr == null)
+        continue;
+
+      const info = this.ghdata.get(String(entry.pr));
+      const labels = info ? info.labels.map(l => l.name) : [];
+
+      entries.push({
+        pr: entry.pr,
+        title: entry.title ?? entry.message,
+        author: entry.author,
+        url: `${this.remote}/pull/${entry.pr}`,
+        labels: labels
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Group PRs by the labels.
+   * @returns {ChangelogSection[]}
+   */
+
+  getSections() {
+    const sections = new Map();
+
+    for (const [title] of SECTIONS)
+      sections.set(title, []);
+
+    sections.set(SECTION_OTHER, []);
+
+    for (const entry of this.getPREntries()) {
+      const labels = entry.labels.map(l => l.toLowerCase());
+      let section = SECTION_OTHER;
+
+      for (const [title, match] of SECTIONS) {
+        if (labels.some(match)) {
+          section = title;
+          break;
+        }
+      }
+
+      sections.get(section).push(entry);
+    }
+
+    const result = [];
+
+    for (const [title, entries] of sections) {
+      if (entries.length === 0)
+        continue;
+
+      result.push({ title, entries });
+    }
+
+    return result;
+  }
+
+  output() {
+    const sections = this.getSections();
+
+    if (this.isJSON) {
+      this.logJSON({
+        range: this.range,
+        title: this.title,
+        sections: sections
+      });
+      return;
+    }
+
+    let out = `## ${this.title}\n`;
+
+    for (const section of sections) {
+      out += `\n### ${section.title}\n\n`;
+
+      for (const entry of section.entries) {
+        out += `  - [#${entry.pr}](${entry.url}) ${entry.title}`;
+
+        if (entry.author)
+          out += ` (@${entry.author})`;
+
+        out += '\n';
+      }
+    }
+
+    this.log(out);
+  }
+}
+
+exports.GitChangelog = GitChangelog;
@@ -8,7 +8,7 @@
 
 const assert = require('assert');
 const {Command} = require('./command');
-const {git, GitAPI, GithubAPI} = require('../api');
+const {git, github, GitAPI, GithubAPI} = require('../api');
 const {Semaphore} = require('../utils/semaphore');
 
 const TASK_GATHER_DATA = 'Gather data from git.';
@@ -18,11 +18,85 @@ const STEP_GET_GH_DATA = 'Get github PR list.';
 
 const TASK_GATHER_PR_INFO = 'Gather PR info from Github.';
 const STEP_GETTING_PR = pr => `Getting info for PR #${pr}.`;
+const STEP_GETTING_PRS = (from, to) => {
+  return `Getting info for PRs #${from}..#${to}.`;
+};
 
 const TASK_GATHER_MERGE_DATA = 'Gather merge data.';
 const STEP_GATHER_MERGE_DATA = hash => `Gather merge data for ${hash}.`;
 
-const MERGE_REGEX = /^\s*?Merge.*#(\d+) .*$/i;
+/**
+ * Sources of the PR number, in the order they are checked.
+ * @enum {String}
+ */
+
+const SOURCE = {
+  // merge head is same as ls-remote pull head.
+  REMOTE_HEAD: 'remote-head',
+  // merge hash is same as ls-remote pull head.
+  REMOTE_MERGE: 'remote-merge',
+  // merge hash is same as GH API merge_commit_sha.
+  GITHUB_MERGE: 'github-merge',
+  // merge head is same as GH API merge_commit_sha.
+  GITHUB_HEAD: 'github-head',
+  // PR number from the merge message.
+  MESSAGE: 'message'
+};
+
+/**
+ * @enum {Number}
+ */
+
+const CONFIDENCE = {
+  NONE: 0,
+  LOW: 1,
+  MEDIUM: 2,
+  HIGH: 3
+};
+
+const confidenceByVal = [
+  'none',
+  'low',
+  'medium',
+  'high'
+];
+
+const CONFIDENCE_BY_SOURCE = {
+  [SOURCE.REMOTE_HEAD]: CONFIDENCE.HIGH,
+  [SOURCE.REMOTE_MERGE]: CONFIDENCE.HIGH,
+  [SOURCE.GITHUB_MERGE]: CONFIDENCE.HIGH,
+  [SOURCE.GITHUB_HEAD]: CONFIDENCE.MEDIUM,
+  [SOURCE.MESSAGE]: CONFIDENCE.LOW
+};
+
+/**
+ * @typedef {Object} AttributionIssue
+ * @property {String} type - unresolved, misnumbered, conflict,
+ *                           rebased or nested.
+ * @property {String} message
+ */
+
+/**
+ * @typedef {Object} PRAttribution
+ * @property {Number|null} pr
+ * @property {String|null} source - see SOURCE.
+ * @property {Number} confidence - see CONFIDENCE.
+ * @property {AttributionIssue[]} issues
+ */
+
+/**
+ * @typedef {Object} LogEntry
+ * @property {String} hash
+ * @property {String} message
+ * @property {Boolean} merge
+ * @property {Number|null} pr
+ * @property {String|null} title
+ * @property {String|null} author
+ * @property {String|null} source - source of the PR number.
+ * @property {Number} confidence
+ * @property {AttributionIssue[]} issues
+ * @property {LogEntry[]} commits - commits of the merge.
+ */
 
 /**
  * This needs several things:
@@ -93,10 +167,14 @@ class GitPRLog extends Command {
 
     // Formatting
     this.longid = options.longID;
+    this.explain = options.explain || false;
 
     this.remote = options.remote;
     this.remoteURL = null;
 
+    // Revision range to walk, whole HEAD by default.
+    this.range = getRange(options.from, options.to);
+
     this.gitAPI = new GitAPI({
       Error: this.Error,
       cache: this.cache,
@@ -110,9 +188,13 @@ class GitPRLog extends Command {
       cwd: this.cwd,
       ghuser: this.ghuser,
       ghkey: this.ghkey,
-      ghconc: this.ghconc
+      ghconc: this.ghconc,
+      ghapi: options.ghapi,
+      ghgraphql: options.ghgraphql
     });
 
+    this.watchRateLimit(this.githubAPI.rateLimit);
+
     // Commit log.
     this.logs = new Map();
 
@@ -123,6 +205,8 @@ class GitPRLog extends Command {
     this.merges = new Set();
     this.commitsByMerge = new Map();
     this.mergesByHash = new Map();
+
+    /** @type {Map<String, PRAttribution>} */
     this.prsByHash = new Map();
 
     // This will have github HEADs for each PR providing hashes for each PR.
@@ -142,10 +226,10 @@ class GitPRLog extends Command {
 
     const steps = {
       [STEP_GET_COMMIT_LOG]: async () => {
-        this.logs = await gitAPI.getMiniLog();
+        this.logs = await gitAPI.getMiniLog(this.range);
 
         for (const [hash, message] of this.logs.entries()) {
-          const match = message.match(MERGE_REGEX);
+          const match = message.match(git.MERGE_REGEX);
 
           if (match === null)
             continue;
@@ -155,7 +239,7 @@ class GitPRLog extends Command {
         }
       },
       [STEP_GET_MERGES]: async () => {
-        this.merges = await gitAPI.getMergeCommits();
+        this.merges = await gitAPI.getMergeCommits(this.range);
       },
       [STEP_GET_GH_DATA]: async () => {
         const [info, cached] = await gitAPI.lsRemote();
@@ -181,7 +265,15 @@ class GitPRLog extends Command {
    */
 
   async gatherGithubData() {
-    const allRemotePRs = Object.keys(this.remoteInfo.pulls);
+    const allRemotePRs = this.range
+      ? Array.from(this.getRangePRs())
+      : Object.keys(this.remoteInfo.pulls);
+
+    if (this.githubAPI.useGraphQL) {
+      await this.gatherGithubDataBatched(allRemotePRs);
+      return;
+    }
+
     const parallel = this.ghconc || 2;
     const sem = new Semaphore(parallel);
 
@@ -209,17 +301,116 @@ class GitPRLog extends Command {
 
         if (cached)
           this.step(STEP_GETTING_PR(pr), null, 'Recovered from the cache.');
+        else
+          this.step(STEP_GETTING_PR(pr), null, this.rateLimitMessage());
+
+        this.addPRInfo(pr, info);
+      }]);
+    }
+
+    await this.runParallelSteps(steps, sem);
+  }
+
+  /**
+   * Gather information from the Github GraphQL API,
+   * GRAPHQL_BATCH PRs per request.
+   * @param {String[]} prs
+   */
+
+  async gatherGithubDataBatched(prs) {
+    const sorted = prs.slice().sort((a, b) => a - b);
+    const sem = new Semaphore(this.ghconc || 2);
+    const batches = [];
 
-        this.ghdata.set(pr, info);
+    for (let i = 0; i < sorted.length; i += github.GRAPHQL_BATCH)
+      batches.push(sorted.slice(i, i + github.GRAPHQL_BATCH));
+
+    const {owner, repository: repo} = this.remoteURL;
+    const steps = [];
+
+    for (const batch of batches) {
+      const stepName = STEP_GETTING_PRS(batch[0], batch[batch.length - 1]);
+
+      this.step(stepName);
+
+      steps.push([stepName, async () => {
+        const infos = await this.githubAPI.getPRInfos(owner, repo, batch);
+        const failed = [];
+        let cachedCount = 0;
+
+        for (const [pr, [info, cached]] of infos) {
+          if (!info) {
+            failed.push(`#${pr}`);
+            continue;
+          }
+
+          if (cached)
+            cachedCount++;
+
+          this.addPRInfo(pr, info);
+        }
 
-        if (info.merge_commit_sha)
-          this.ghdataPRByHash.set(info.merge_commit_sha, pr);
+        if (failed.length > 0)
+          throw new this.Error(`Could not fetch PRs ${failed.join(', ')}.`);
+
+        let message = this.rateLimitMessage();
+
+        if (cachedCount > 0)
+          message = `Recovered ${cachedCount} from the cache. ${message}`;
+
+        this.step(stepName, null, message);
       }]);
     }
 
     await this.runParallelSteps(steps, sem);
   }
 
+  /**
+   * @returns {String}
+   */
+
+  rateLimitMessage() {
+    return this.githubAPI.rateLimit.toString();
+  }
+
+  /**
+   * Index PR info.
+   * @param {String} pr
+   * @param {Object} info - PR json from the GithubAPI.
+   */
+
+  addPRInfo(pr, info) {
+    this.ghdata.set(pr, info);
+
+    if (info.merge_commit_sha)
+      this.ghdataPRByHash.set(info.merge_commit_sha, pr);
+  }
+
+  /**
+   * Collect PRs that could have been merged in the range:
+   * pull heads found in the log and PR numbers from merge messages.
+   * @returns {Set<String>}
+   */
+
+  getRangePRs() {
+    const {pulls, prByHash} = this.remoteInfo;
+    const prs = new Set();
+
+    for (const hash of this.logs.keys()) {
+      if (prByHash[hash] != null)
+        prs.add(String(prByHash[hash]));
+    }
+
+    for (const hash of this.merges) {
+      const pr = this.logPRByHash.get(hash);
+
+      if (pr != null && pulls[pr] != null)
+        prs.add(String(pr));
+    }
+
+    return prs;
+  }
+
   /**
    * Make sure remote is correct and we can use it.
    */
@@ -278,13 +469,14 @@ class GitPRLog extends Command {
 
     const tasks = {
       [TASK_GATHER_DATA]: async () => this.gatherGitData(),
-      [TASK_GATHER_PR_INFO]: async () => this.gatherGithubData(),
-      [TASK_GATHER_MERGE_DATA]: async () => this.groupByMerges()
+      [TASK_GATHER_MERGE_DATA]: async () => this.groupByMerges(),
+      [TASK_GATHER_PR_INFO]: async () => this.gatherGithubData()
     };
 
     this.registerTasks(Object.keys(tasks));
     await this.runTasks(Object.entries(tasks));
 
+    this.resolvePRs();
     this.output();
   }
 
@@ -310,73 +502,323 @@ class GitPRLog extends Command {
     return msgMerge || merges || prs;
   }
 
-  getPRInfo(hash) {
+  /**
+   * Resolve PR number of the merge using the cascade described above.
+   * @param {String} hash - merge commit hash.
+   * @returns {PRAttribution}
+   */
+
+  resolvePR(hash) {
     assert(this.merges.has(hash), `${hash} is not a merge.`);
 
+    const {pulls, prByHash} = this.remoteInfo;
+    const commits = this.commitsByMerge.get(hash) || [];
+    const head = commits[0] || null;
+    const candidates = [];
+
+    const add = (source, pr) => {
+      if (pr == null)
+        return;
+
+      candidates.push({ source, pr: Number(pr) });
+    };
+
+    if (head)
+      add(SOURCE.REMOTE_HEAD, prByHash[head]);
+
+    add(SOURCE.REMOTE_MERGE, prByHash[hash]);
+    add(SOURCE.GITHUB_MERGE, this.ghdataPRByHash.get(hash));
+
+    if (head)
+      add(SOURCE.GITHUB_HEAD, this.ghdataPRByHash.get(head));
+
+    add(SOURCE.MESSAGE, this.logPRByHash.get(hash));
+
+    /** @type {PRAttribution} */
+    const attribution = {
+      pr: null,
+      source: null,
+      confidence: CONFIDENCE.NONE,
+      issues: []
+    };
+
+    if (candidates.length === 0) {
+      attribution.issues.push({
+        type: 'unresolved',
+        message: 'Could not find the PR for the merge.'
+      });
+
+      return attribution;
+    }
+
+    const [resolved] = candidates;
+
+    attribution.pr = resolved.pr;
+    attribution.source = resolved.source;
+    attribution.confidence = CONFIDENCE_BY_SOURCE[resolved.source];
+
+    const reported = new Set();
+
+    for (const candidate of candidates.slice(1)) {
+      if (candidate.pr === resolved.pr || reported.has(candidate.pr))
+        continue;
+
+      reported.add(candidate.pr);
+
+      if (candidate.source === SOURCE.MESSAGE) {
+        attribution.issues.push({
+          type: 'misnumbered',
+          message: `Merge message says #${candidate.pr}, `
+            + `${resolved.source} says #${resolved.pr}.`
+        });
+        continue;
+      }
+
+      attribution.issues.push({
+        type: 'conflict',
+        message: `${candidate.source} says #${candidate.pr}, `
+          + `${resolved.source} says #${resolved.pr}.`
+      });
+    }
+
+    // Merge message agrees, but the PR head is not part of the merge.
     const messagePR = this.logPRByHash.get(hash);
-    const head = this.commitsByMerge.get(hash)[0];
-    const gh = this.ghdataPRByHash.has(hash);
-    const prByHead = this.remoteInfo.prByHash[head];
-    const prByMerge = this.remoteInfo.prByHash[hash];
+    const pullHead = pulls[messagePR];
+
+    if (messagePR === resolved.pr
+      && pullHead != null
+      && pullHead !== hash
+      && !commits.includes(pullHead)) {
+      attribution.issues.push({
+        type: 'rebased',
+        message: `Head of #${messagePR} (${pullHead.substr(0, 8)}) is not `
+          + 'part of the merge, it was rebased or merged elsewhere.'
+      });
+    }
+
+    return attribution;
+  }
+
+  /**
+   * Resolve all merges and look for the nested PR merges.
+   */
+
+  resolvePRs() {
+    for (const hash of this.merges)
+      this.prsByHash.set(hash, this.resolvePR(hash));
+
+    for (const [hash, attribution] of this.prsByHash) {
+      for (const commit of this.commitsByMerge.get(hash) || []) {
+        if (!this.prsByHash.has(commit))
+          continue;
+
+        const nested = this.prsByHash.get(commit);
+
+        if (nested.pr == null || nested.pr === attribution.pr)
+          continue;
+
+        attribution.issues.push({
+          type: 'nested',
+          message: `Contains merge of #${nested.pr} `
+            + `(${commit.substr(0, 8)}).`
+        });
+      }
+    }
+  }
+
+  /**
+   * Commits that look like merges by the message, but are not.
+   * @returns {Map<String, Number>} - hash -> PR from the message.
+   */
+
+  getMessageOnlyMerges() {
+    const commits = new Map();
 
-    // this.prsByHash.set()
+    for (const [hash, pr] of this.logPRByHash) {
+      if (!this.merges.has(hash))
+        commits.set(hash, pr);
+    }
 
-    this.log(
-      `MessagePR: ${messagePR || 0}, head: ${head}, gh: ${gh},`
-      + ` prByHead: ${prByHead}, prByMerge: ${prByMerge}\n`
-    );
+    return commits;
   }
 
   output() {
-    return this.outputGroupedByPR();
+    if (this.isJSON) {
+      const messageOnly = [];
+
+      for (const [hash, pr] of this.getMessageOnlyMerges())
+        messageOnly.push({ hash, pr });
+
+      this.logJSON({
+        remote: this.remote,
+        entries: this.getLogEntries(),
+        messageOnlyMerges: messageOnly
+      });
+      return;
+    }
+
+    this.outputGroupedByPR();
+
+    if (this.explain)
+      this.outputExplain();
   }
 
-  outputGroupedByPR() {
-    const output = [];
+  /**
+   * Group log into the entries.
+   * @returns {LogEntry[]}
+   */
+
+  getLogEntries() {
+    const entries = [];
 
     // clone the logs.
     const logs = new Map(this.logs.entries());
-    const formatMsg = (hash, message, pr = false) => {
-      let fhash = hash;
+    const getEntry = (hash, message) => {
+      return {
+        hash: hash,
+        message: message,
+        merge: false,
+        pr: null,
+        title: null,
+        author: null,
+        source: null,
+        confidence: CONFIDENCE.NONE,
+        issues: [],
+        commits: []
+      };
+    };
 
-      if (!this.longID)
-        fhash = fhash.substr(0, 8);
+    const getMergeEntry = (hash, message) => {
+      const entry = getEntry(hash, message);
+      const attribution = this.prsByHash.get(hash) || this.resolvePR(hash);
+
+      entry.merge = true;
+      entry.pr = attribution.pr;
+      entry.source = attribution.source;
+      entry.confidence = attribution.confidence;
+      entry.issues = attribution.issues;
+
+      if (entry.pr == null)
+        return entry;
 
-      const prno = this.ghdataPRByHash.get(hash);
+      const info = this.ghdata.get(String(entry.pr));
 
-      if (!pr || !prno)
-        return [`${fhash} - ${message}`];
+      if (!info)
+        return entry;
 
-      const info = this.ghdata.get(prno);
-      return [
-        `${fhash} - ${message} - ${info.title} - @${info.user.login}`
-      ];
+      entry.title = info.title;
+      entry.author = info.user.login;
+
+      return entry;
     };
 
     for (const [hash, message] of logs) {
       if (this.merges.has(hash)) {
-        output.push(...formatMsg(hash, message, true));
+        const entry = getMergeEntry(hash, message);
 
         const hashes = this.commitsByMerge.get(hash);
-        const mergeOut = [];
 
         for (const hash of hashes) {
           const msg = logs.get(hash);
           logs.delete(hash);
 
-          mergeOut.push(...formatMsg(hash, msg));
+          entry.commits.push(getEntry(hash, msg));
         }
 
-        output.push(mergeOut, '');
-
+        entries.push(entry);
         continue;
       }
 
-      output.push(...formatMsg(hash, message));
+      entries.push(getEntry(hash, message));
+    }
+
+    return entries;
+  }
+
+  outputGroupedByPR() {
+    const output = [];
+
+    const formatMsg = (entry) => {
+      let fhash = entry.hash;
+
+      if (!this.longID)
+        fhash = fhash.substr(0, 8);
+
+      let out = `${fhash} - ${entry.message}`;
+
+      if (entry.title != null)
+        out += ` - ${entry.title} - @${entry.author}`;
+
+      if (this.explain && entry.merge) {
+        const pr = entry.pr != null ? `#${entry.pr}` : 'no PR';
+        const confidence = confidenceByVal[entry.confidence];
+        out += ` [${pr}, ${entry.source || 'none'}, ${confidence}]`;
+      }
+
+      return [out];
+    };
+
+    for (const entry of this.getLogEntries()) {
+      output.push(...formatMsg(entry));
+
+      if (!entry.merge)
+        continue;
+
+      const mergeOut = [];
+
+      for (const commit of entry.commits)
+        mergeOut.push(...formatMsg(commit));
+
+      output.push(mergeOut, '');
     }
 
     this.log(assembleOutput(output));
   }
+
+  outputExplain() {
+    const output = ['Inconsistencies:'];
+    const issues = [];
+
+    for (const [hash, attribution] of this.prsByHash) {
+      if (attribution.issues.length === 0)
+        continue;
+
+      const pr = attribution.pr != null ? `#${attribution.pr}` : 'no PR';
+      issues.push(`${hash.substr(0, 8)} - ${pr}:`);
+      issues.push(attribution.issues.map(i => `${i.type}: ${i.message}`));
+    }
+
+    for (const [hash, pr] of this.getMessageOnlyMerges()) {
+      issues.push(`${hash.substr(0, 8)} - #${pr}:`);
+      issues.push([
+        'not-merge: Message references the PR, but it is not a merge.'
+      ]);
+    }
+
+    if (issues.length === 0)
+      issues.push('None.');
+
+    output.push(issues);
+
+    this.log(assembleOutput(output));
+  }
+}
+
+/**
+ * Get revision range from the options.
+ * @param {String?} from
+ * @param {String?} to
+ * @returns {String|null}
+ */
+
+function getRange(from, to) {
+  if (!from && !to)
+    return null;
+
+  if (!from)
+    return to;
+
+  return `${from}..${to || 'HEAD'}`;
 }
 
 function assembleOutput(out, depth = 0, width = 2) {
@@ -8,12 +8,22 @@
 
 const {ExampleCommand} = require('./example');
 const {GitPRLog} = require('./git-prlog');
+const {GitChangelog} = require('./git-changelog');
 const {DependencyCheck} = require('./depcheck');
 const {GenerateSeeds} = require('./genseeds');
 const {CheckSeeds} = require('./checkseeds');
+const {LabelsSync, LabelsExport} = require('./labels');
+const {
+  PackagesAdd,
+  PackagesRemove,
+  PackagesList,
+  PackagesShow
+} = require('./pkg');
+const {DepsGraph, DepsPlanRelease} = require('./deps');
 
 const gitCommands = {
-  'git prlog': GitPRLog
+  'git prlog': GitPRLog,
+  'git changelog': GitChangelog
 };
 
 const commands = {
@@ -25,6 +35,20 @@ const commands = {
 
   'depcheck': DependencyCheck,
 
+  // github labels.
+  'labels sync': LabelsSync,
+  'labels export': LabelsExport,
+
+  // tracked packages.
+  'pkg add': PackagesAdd,
+  'pkg remove': PackagesRemove,
+  'pkg list': PackagesList,
+  'pkg info': PackagesShow,
+
+  // tracked package dependencies.
+  'deps graph': DepsGraph,
+  'deps plan-release': DepsPlanRelease,
+
   ...gitCommands
 };
 
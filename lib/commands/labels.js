@@ -0,0 +1,604 @@
+/*!
+ * commands/labels.js - Sync Github labels from the definition file.
+ * Copyright (c) 2026, Nodari Chkuaselidze (MIT License).
+ * https://github.com/nodech/hs-tools
+ */
+
+'use strict';
+
+const path = require('path');
+const fs = require('bfile');
+const {Command} = require('./command');
+const {git, GitAPI, GithubAPI} = require('../api');
+const {Semaphore} = require('../utils/semaphore');
+
+const TASK_READ_DEFINITION = 'Read label definitions.';
+const TASK_RESOLVE_REPOS = 'Resolve repositories.';
+const TASK_GATHER_LABELS = 'Gather labels from Github.';
+const STEP_GET_LABELS = repo => `Getting labels for ${repo}.`;
+
+const TASK_APPLY = 'Apply label changes.';
+const STEP_APPLY = (repo, change) => {
+  return `${change.action} "${change.name}" in ${repo}.`;
+};
+
+const COLOR_REGEX = /^[0-9a-f]{6}$/;
+
+/**
+ * @enum {String}
+ */
+
+const ACTION = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete'
+};
+
+/**
+ * @typedef {Object} Label
+ * @property {String} name
+ * @property {String} color - hex without #.
+ * @property {String} description
+ */
+
+/**
+ * @typedef {Object} LabelChange
+ * @property {String} action - see ACTION.
+ * @property {String} name - current name of the label.
+ * @property {Label|null} label - desired label.
+ * @property {String[]} fields - changed fields on update.
+ * @property {Label} [from] - current label on update.
+ */
+
+/**
+ * @typedef {Object} RepoPlan
+ * @property {String} repo - owner/repo
+ * @property {LabelChange[]} changes
+ * @property {String|null} error
+ */
+
+/**
+ * Common parts of the labels commands.
+ */
+
+class LabelsCommand extends Command {
+  constructor(options) {
+    super(options);
+
+    this.options = options;
+    this.cache = options.cache;
+    this.cwd = options.cwd;
+    this.ghconc = options.ghconc;
+    this.remote = options.remote || 'origin';
+
+    // owner/repo list, remote repository by default.
+    this.repos = options.repos || [];
+
+    this.gitAPI = new GitAPI({
+      Error: this.Error,
+      cache: this.cache,
+      cwd: this.cwd,
+      remote: this.remote
+    });
+
+    this.githubAPI = new GithubAPI({
+      Error: this.Error,
+      cache: this.cache,
+      cwd: this.cwd,
+      ghuser: options.ghuser,
+      ghkey: options.ghkey,
+      ghconc: this.ghconc,
+      ghapi: options.ghapi
+    });
+
+    this.watchRateLimit(this.githubAPI.rateLimit);
+
+    /** @type {Map<String, Label[]>} */
+    this.labels = new Map();
+  }
+
+  /**
+   * Validate repos or fallback to the remote.
+   */
+
+  async resolveRepos() {
+    if (this.repos.length > 0) {
+      for (const repo of this.repos) {
+        if (!/^[^\/]+\/[^\/]+$/.test(repo))
+          throw new this.Error(`Invalid repository "${repo}", use owner/repo.`);
+      }
+
+      return;
+    }
+
+    let url = git.GitUrl.fromRemoteURL(this.remote);
+
+    if (url.isNull()) {
+      const remotes = await this.gitAPI.remotes('fetch');
+
+      if (!remotes.has(this.remote))
+        throw new this.Error(`Could not find remote "${this.remote}".`);
+
+      url = remotes.get(this.remote);
+    }
+
+    if (url.isPartial())
+      throw new this.Error(`Could not parse remote "${this.remote}".`);
+
+    this.repos = [`${url.owner}/${url.repository}`];
+  }
+
+  /**
+   * Get labels for each repository.
+   */
+
+  async gatherLabels() {
+    const sem = new Semaphore(this.ghconc || 2);
+    const steps = [];
+
+    for (const repo of this.repos)
+      this.step(STEP_GET_LABELS(repo));
+
+    for (const repo of this.repos) {
+      steps.push([STEP_GET_LABELS(repo), async () => {
+        const [owner, name] = repo.split('/');
+        const [labels, cached] = await this.githubAPI.listLabels(owner, name);
+
+        if (cached)
+          this.step(STEP_GET_LABELS(repo), null, 'Recovered from the cache.');
+        else
+          this.step(STEP_GET_LABELS(repo), null, this.rateLimitMessage());
+
+        this.labels.set(repo, labels.map(normalizeLabel));
+      }]);
+    }
+
+    await this.runParallelSteps(steps, sem);
+  }
+
+  rateLimitMessage() {
+    return this.githubAPI.rateLimit.toString();
+  }
+}
+
+/**
+ * Export labels of the repository as the definition file.
+ */
+
+class LabelsExport extends LabelsCommand {
+  async run() {
+    this.registerTasks([
+      TASK_RESOLVE_REPOS,
+      TASK_GATHER_LABELS
+    ]);
+
+    await this.runTasks([
+      [TASK_RESOLVE_REPOS, () => this.resolveRepos()],
+      [TASK_GATHER_LABELS, () => this.gatherLabels()]
+    ]);
+
+    this.output();
+  }
+
+  async resolveRepos() {
+    await super.resolveRepos();
+
+    if (this.repos.length !== 1)
+      throw new this.Error('Export supports only one repository.');
+  }
+
+  output() {
+    const [repo] = this.repos;
+
+    if (!this.labels.has(repo))
+      throw new this.Error(`Could not get labels for ${repo}.`);
+
+    const labels = this.labels.get(repo);
+
+    if (this.isJSON) {
+      this.logJSON({ repo, labels });
+      return;
+    }
+
+    this.log(JSON.stringify(labels, null, 2));
+  }
+}
+
+/**
+ * Diff repository labels against the definition file and apply
+ * the changes after the confirmation, unless yes is set.
+ * Labels missing from the file are deleted, unless keep is set.
+ */
+
+class LabelsSync extends LabelsCommand {
+  constructor(options) {
+    super(options);
+
+    if (typeof options.file !== 'string')
+      throw new this.Error('Label definition file is required.');
+
+    this.file = path.resolve(this.cwd, options.file);
+    this.dryRun = options.dryRun || false;
+    this.keep = options.keep || false;
+    this.yes = options.yes || false;
+    this.applied = false;
+
+    /** @type {Label[]} */
+    this.definition = [];
+
+    /** @type {RepoPlan[]} */
+    this.plans = [];
+
+    /** @type {Map<LabelChange, String>} - failed changes. */
+    this.failed = new Map();
+  }
+
+  async run() {
+    const tasks = [
+      [TASK_READ_DEFINITION, () => this.readDefinition()],
+      [TASK_RESOLVE_REPOS, () => this.resolveRepos()],
+      [TASK_GATHER_LABELS, () => this.gatherLabels()]
+    ];
+
+    if (!this.dryRun && !this.yes && this.isJSON)
+      throw new this.Error('Sync with JSON output requires --yes.');
+
+    this.registerTasks(tasks.map(t => t[0]));
+
+    await this.runTasks(tasks);
+
+    this.plans = this.getPlans();
+
+    if (!this.dryRun && this.hasChanges() && await this.confirm()) {
+      this.task(TASK_APPLY);
+      await this.runTasks([[TASK_APPLY, () => this.apply()]]);
+      this.applied = true;
+    }
+
+    this.output();
+  }
+
+  /**
+   * @returns {Boolean}
+   */
+
+  hasChanges() {
+    return this.plans.some(plan => plan.changes.length > 0);
+  }
+
+  /**
+   * Show the plans and ask before applying, unless yes is set.
+   * @returns {Promise<Boolean>}
+   */
+
+  async confirm() {
+    if (this.yes)
+      return true;
+
+    const answer = await this.question(
+      this.formatPlans() + '\nApply these changes? [y]es, [n]o: ');
+
+    switch (answer.trim().toLowerCase()) {
+      case 'y':
+      case 'yes':
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Read and validate the definition file.
+   */
+
+  async readDefinition() {
+    if (!await fs.exists(this.file))
+      throw new this.Error(`Could not find ${this.file}.`);
+
+    let json;
+
+    try {
+      json = JSON.parse(await fs.readFile(this.file));
+    } catch (e) {
+      throw new this.Error(`Could not parse ${this.file}: ${e.message}`);
+    }
+
+    let labels = null;
+
+    if (Array.isArray(json))
+      labels = json;
+    else if (json && typeof json === 'object')
+      labels = json.labels;
+
+    if (!Array.isArray(labels))
+      throw new this.Error('Definition must be a list of labels.');
+
+    const names = new Set();
+
+    for (const label of labels) {
+      if (!label || typeof label.name !== 'string' || !label.name)
+        throw new this.Error('Label must have a name.');
+
+      const normal = normalizeLabel(label);
+      const key = normal.name.toLowerCase();
+
+      if (!COLOR_REGEX.test(normal.color))
+        throw new this.Error(`Label "${label.name}" has invalid color.`);
+
+      if (names.has(key))
+        throw new this.Error(`Label "${label.name}" is defined twice.`);
+
+      names.add(key);
+      this.definition.push(normal);
+    }
+  }
+
+  /**
+   * Get changes for all repositories.
+   * @returns {RepoPlan[]}
+   */
+
+  getPlans() {
+    const plans = [];
+
+    for (const repo of this.repos) {
+      if (!this.labels.has(repo)) {
+        plans.push({
+          repo: repo,
+          changes: [],
+          error: 'Could not get labels.'
+        });
+        continue;
+      }
+
+      plans.push({
+        repo: repo,
+        changes: this.diffLabels(this.labels.get(repo)),
+        error: null
+      });
+    }
+
+    return plans;
+  }
+
+  /**
+   * Diff current labels against the definition.
+   * Github label names are case insensitive.
+   * @param {Label[]} current
+   * @returns {LabelChange[]}
+   */
+
+  diffLabels(current) {
+    const byName = new Map();
+    const changes = [];
+
+    for (const label of current)
+      byName.set(label.name.toLowerCase(), label);
+
+    for (const label of this.definition) {
+      const key = label.name.toLowerCase();
+      const existing = byName.get(key);
+
+      byName.delete(key);
+
+      if (!existing) {
+        changes.push({
+          action: ACTION.CREATE,
+          name: label.name,
+          label: label,
+          fields: []
+        });
+        continue;
+      }
+
+      const fields = [];
+
+      for (const field of ['name', 'color', 'description']) {
+        if (existing[field] !== label[field])
+          fields.push(field);
+      }
+
+      if (fields.length === 0)
+        continue;
+
+      changes.push({
+        action: ACTION.UPDATE,
+        name: existing.name,
+        label: label,
+        fields: fields,
+        from: existing
+      });
+    }
+
+    if (this.keep)
+      return changes;
+
+    for (const label of byName.values()) {
+      changes.push({
+        action: ACTION.DELETE,
+        name: label.name,
+        label: null,
+        fields: []
+      });
+    }
+
+    return changes;
+  }
+
+  /**
+   * Apply the plans.
+   */
+
+  async apply() {
+    const sem = new Semaphore(this.ghconc || 2);
+    const steps = [];
+
+    for (const plan of this.plans) {
+      const [owner, repo] = plan.repo.split('/');
+
+      for (const change of plan.changes) {
+        const step = STEP_APPLY(plan.repo, change);
+
+        this.step(step);
+        steps.push([step, async () => {
+          try {
+            await this.applyChange(owner, repo, change);
+          } catch (e) {
+            this.failed.set(change, e.message);
+            throw e;
+          }
+
+          this.step(step, null, this.rateLimitMessage());
+        }]);
+      }
+    }
+
+    await this.runParallelSteps(steps, sem);
+  }
+
+  /**
+   * @param {String} owner
+   * @param {String} repo
+   * @param {LabelChange} change
+   * @returns {Promise}
+   */
+
+  async applyChange(owner, repo, change) {
+    const api = this.githubAPI;
+
+    switch (change.action) {
+      case ACTION.CREATE:
+        return api.createLabel(owner, repo, change.label);
+      case ACTION.UPDATE:
+        return api.updateLabel(owner, repo, change.name, change.label);
+      case ACTION.DELETE:
+        return api.deleteLabel(owner, repo, change.name);
+      default:
+        throw new this.Error(`Unknown action ${change.action}.`);
+    }
+  }
+
+  output() {
+    if (this.isJSON) {
+      this.outputJSON();
+      return;
+    }
+
+    let out = this.formatPlans();
+
+    if (this.dryRun)
+      out += '\nDry run, nothing was changed.\n';
+    else if (!this.applied && this.hasChanges())
+      out += '\nAborted, nothing was changed.\n';
+
+    this.log(out);
+  }
+
+  /**
+   * @returns {String}
+   */
+
+  formatPlans() {
+    let out = '';
+
+    for (const plan of this.plans) {
+      out += `${plan.repo}:\n`;
+
+      if (plan.error) {
+        out += `  ${plan.error}\n`;
+        continue;
+      }
+
+      if (plan.changes.length === 0)
+        out += '  No changes.\n';
+
+      for (const change of plan.changes) {
+        out += `  ${formatChange(change)}`;
+
+        if (this.failed.has(change))
+          out += ` - failed: ${this.failed.get(change)}`;
+
+        out += '\n';
+      }
+    }
+
+    return out;
+  }
+
+  outputJSON() {
+    const repos = this.plans.map((plan) => {
+      return {
+        repo: plan.repo,
+        error: plan.error,
+        changes: plan.changes.map((change) => {
+          return {
+            ...change,
+            applied: this.applied && !this.failed.has(change),
+            error: this.failed.get(change) || null
+          };
+        })
+      };
+    });
+
+    this.logJSON({
+      dryRun: this.dryRun,
+      repos: repos
+    });
+  }
+}
+
+/**
+ * Keep only the fields we sync.
+ * @param {Object} label
+ * @returns {Label}
+ */
+
+function normalizeLabel(label) {
+  let color = String(label.color || '').toLowerCase();
+
+  if (color.startsWith('#'))
+    color = color.slice(1);
+
+  return {
+    name: label.name,
+    color: color,
+    description: label.description || ''
+  };
+}
+
+/**
+ * @param {LabelChange} change
+ * @returns {String}
+ */
+
+function formatChange(change) {
+  const {label} = change;
+
+  switch (change.action) {
+    case ACTION.CREATE: {
+      let out = `+ create "${label.name}" #${label.color}`;
+
+      if (label.description)
+        out += ` - ${label.description}`;
+
+      return out;
+    }
+
+    case ACTION.UPDATE: {
+      const diffs = change.fields.map((field) => {
+        return `${field}: "${change.from[field]}" -> "${label[field]}"`;
+      });
+
+      return `~ update "${change.name}" ${diffs.join(', ')}`;
+    }
+
+    case ACTION.DELETE:
+      return `- delete "${change.name}"`;
+
+    default:
+      return `? ${change.action} "${change.name}"`;
+  }
+}
+
+exports.LabelsExport = LabelsExport;
+exports.LabelsSync = LabelsSync;
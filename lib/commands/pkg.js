@@ -0,0 +1,459 @@
+/*!
+ * commands/pkg.js - Track organization packages.
+ * Copyright (c) 2026, Nodari Chkuaselidze (MIT License).
+ * https://github.com/nodech/hs-tools
+ */
+
+'use strict';
+
+const path = require('path');
+const fs = require('bfile');
+const {Command} = require('./command');
+const {git, GitAPI, NPMAPI, parseRepository} = require('../api');
+const {PackagesInfo} = require('../package');
+const {DependencyInfo} = require('../deps');
+const {Semaphore} = require('../utils/semaphore');
+const {CACHE_DIR, PACKAGES_FILE} = require('../common');
+const util = require('../utils/util');
+const fmt = require('../fmt');
+
+const TASK_LOAD = 'Load tracked packages.';
+const TASK_RESOLVE = 'Resolve the package.';
+const TASK_REFRESH = 'Refresh package data.';
+const STEP_REFRESH = pkg => `refresh ${pkg}.`;
+const TASK_SAVE = 'Save tracked packages.';
+
+/**
+ * @typedef {Object} PackageSummary
+ * @property {String} name
+ * @property {String|null} url - git url.
+ * @property {String|null} git - latest git version.
+ * @property {String|null} npm - latest npm version.
+ * @property {Object} dependencies - {all, git, npm}
+ * @property {Object} devDependencies - {all, git, npm}
+ * @property {Object} dependents - {all, git, npm}
+ * @property {Object} devDependents - {all, git, npm}
+ */
+
+/**
+ * Common parts of the pkg commands.
+ * Packages are stored in the cache directory.
+ */
+
+class PackagesCommand extends Command {
+  constructor(options) {
+    super(options);
+
+    this.options = options;
+    this.cache = options.cache;
+    this.cwd = options.cwd;
+    this.npmconc = options.npmconc;
+    this.filename = path.join(this.cwd, CACHE_DIR, PACKAGES_FILE);
+
+    this.gitAPI = new GitAPI({
+      Error: this.Error,
+      cache: this.cache,
+      cwd: this.cwd
+    });
+
+    this.npmAPI = new NPMAPI({
+      Error: this.Error,
+      cache: this.cache,
+      cwd: this.cwd,
+      npmconc: this.npmconc
+    });
+
+    this.packages = new PackagesInfo();
+  }
+
+  async load() {
+    if (!await fs.exists(this.filename))
+      return;
+
+    const json = await fs.readJSON(this.filename);
+    this.packages = PackagesInfo.fromJSON(json);
+  }
+
+  async save() {
+    if (!this.packages.modified)
+      return;
+
+    await fs.writeJSON(this.filename, this.packages.toJSON(), {
+      space: 2
+    });
+
+    this.packages.modified = false;
+  }
+
+  /**
+   * @param {String} name
+   * @returns {PackageDetails}
+   */
+
+  getPackage(name) {
+    if (!this.packages.hasPackage(name))
+      throw new this.Error(`Package "${name}" is not tracked.`);
+
+    return this.packages.getPackage(name);
+  }
+
+  /**
+   * Update npm, git and dependency information of the package.
+   * Packages that are not published use package.json from master.
+   * @param {PackageDetails} details
+   * @returns {Promise}
+   */
+
+  async refreshPackage(details) {
+    const {gitInfo, npmInfo} = details;
+    const info = await this.getNPMInfo(details.name);
+    let manifest = null;
+
+    if (info) {
+      npmInfo.setInfo(info);
+      manifest = info.versions[info['dist-tags'].latest] ?? null;
+    }
+
+    if (gitInfo.url.isPartial() && manifest) {
+      const url = getGitURL(manifest.repository ?? info.repository);
+
+      if (url)
+        gitInfo.url = url;
+    }
+
+    if (gitInfo.url.isPartial()) {
+      throw new this.Error(
+        `Could not find git repository for ${details.name}.`);
+    }
+
+    const url = gitInfo.getFetchURL();
+    const [lsRemote] = await this.gitAPI.lsRemote(url);
+
+    gitInfo.updateLSRemote(lsRemote);
+
+    if (!manifest)
+      manifest = await this.readManifest(url, gitInfo.master);
+
+    details.setDependencies(manifest.dependencies || {});
+    details.setDevDependencies(manifest.devDependencies || {});
+  }
+
+  /**
+   * @param {String} name
+   * @returns {Promise<Object|null>} - null if not published.
+   */
+
+  async getNPMInfo(name) {
+    try {
+      const [info] = await this.npmAPI.getPkgInfo(name);
+      return info;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Read package.json from the repository.
+   * @param {String} url
+   * @param {String} ref
+   * @returns {Promise<Object>}
+   */
+
+  async readManifest(url, ref) {
+    const dir = await this.gitAPI.ensureClone(url, ref);
+    const raw = await this.gitAPI.readFile(dir, ref, 'package.json');
+
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      throw new this.Error(`Could not parse package.json of ${url}.`);
+    }
+  }
+
+  async refreshAll() {
+    const steps = new Map();
+
+    for (const [name, details] of this.packages.packages) {
+      const stepName = STEP_REFRESH(name);
+
+      this.step(stepName);
+      steps.set(stepName, async () => this.refreshPackage(details));
+    }
+
+    const sem = new Semaphore(this.npmconc || 2);
+    await this.runParallelSteps(steps, sem);
+  }
+
+  /**
+   * @returns {DependencyInfo}
+   */
+
+  getDependencyInfo() {
+    const depinfo = new DependencyInfo(this.packages);
+    depinfo.init();
+    return depinfo;
+  }
+
+  /**
+   * @param {PackageDetails} details
+   * @param {DependencyInfo} depinfo
+   * @returns {PackageSummary}
+   */
+
+  summarize(details, depinfo) {
+    const {name, gitInfo, npmInfo} = details;
+    const count = (all, gitCount, npmCount) => {
+      return {
+        all: all.get(name) || 0,
+        git: gitCount.get(name) || 0,
+        npm: npmCount.get(name) || 0
+      };
+    };
+
+    return {
+      name: name,
+      url: gitInfo.url.isPartial() ? null : gitInfo.getFetchURL(),
+      git: gitInfo.latest ?? null,
+      npm: npmInfo.latest ?? null,
+      dependencies: count(depinfo.dependencies,
+        depinfo.gitDependencies, depinfo.npmDependencies),
+      devDependencies: count(depinfo.devDependencies,
+        depinfo.gitDevDependencies, depinfo.npmDevDependencies),
+      dependents: count(depinfo.dependents,
+        depinfo.gitDependents, depinfo.npmDependents),
+      devDependents: count(depinfo.devDependents,
+        depinfo.gitDevDependents, depinfo.npmDevDependents)
+    };
+  }
+}
+
+/**
+ * Start tracking the package.
+ */
+
+class PackagesAdd extends PackagesCommand {
+  constructor(options) {
+    super(options);
+
+    // npm name or git url.
+    this.pkg = options.pkg;
+    this.added = null;
+  }
+
+  /**
+   * Find the name and git url of the package.
+   */
+
+  async resolve() {
+    if (git.isGitUrl(this.pkg)) {
+      // Strict parse, the url ends up in the shell for ls-remote and clone.
+      const url = getGitURL(this.pkg);
+
+      if (!url)
+        throw new this.Error(`"${this.pkg}" is not a valid git url.`);
+
+      const [lsRemote] = await this.gitAPI.lsRemote(url.toHTTPGit());
+      const ref = lsRemote.master ?? lsRemote.head;
+      const manifest = await this.readManifest(url.toHTTPGit(), ref);
+
+      if (typeof manifest.name !== 'string')
+        throw new this.Error(`package.json of ${this.pkg} has no name.`);
+
+      this.addPackage(manifest.name, url);
+      return;
+    }
+
+    const name = util.getPackageName(this.pkg);
+
+    if (!name)
+      throw new this.Error(`"${this.pkg}" is not a package name or git url.`);
+
+    this.addPackage(name, null);
+  }
+
+  addPackage(name, gitURL) {
+    if (this.packages.hasPackage(name))
+      throw new this.Error(`Package "${name}" is already tracked.`);
+
+    this.packages.addPackage({ name, gitURL });
+    this.added = this.packages.getPackage(name);
+  }
+
+  async run() {
+    if (!this.pkg)
+      throw new this.Error('Package name or git url is required.');
+
+    const tasks = {
+      [TASK_LOAD]: async () => this.load(),
+      [TASK_RESOLVE]: async () => this.resolve(),
+      [TASK_REFRESH]: async () => this.refreshPackage(this.added),
+      [TASK_SAVE]: async () => this.save()
+    };
+
+    this.registerTasks(Object.keys(tasks));
+    await this.runTasks(Object.entries(tasks));
+
+    const summary = this.summarize(this.added, this.getDependencyInfo());
+
+    if (this.isJSON) {
+      this.logJSON({ added: summary });
+      return;
+    }
+
+    this.log(`Added ${summary.name} (${summary.url}).`);
+  }
+}
+
+/**
+ * Stop tracking the package.
+ */
+
+class PackagesRemove extends PackagesCommand {
+  constructor(options) {
+    super(options);
+
+    this.pkg = options.pkg;
+  }
+
+  async run() {
+    if (!this.pkg)
+      throw new this.Error('Package name is required.');
+
+    const tasks = {
+      [TASK_LOAD]: async () => this.load(),
+      [TASK_SAVE]: async () => {
+        this.getPackage(this.pkg);
+        this.packages.removePackage(this.pkg);
+        await this.save();
+      }
+    };
+
+    this.registerTasks(Object.keys(tasks));
+    await this.runTasks(Object.entries(tasks));
+
+    if (this.isJSON) {
+      this.logJSON({ removed: this.pkg });
+      return;
+    }
+
+    this.log(`Removed ${this.pkg}.`);
+  }
+}
+
+/**
+ * List tracked packages with their dependency summaries.
+ */
+
+class PackagesList extends PackagesCommand {
+  async run() {
+    const tasks = {
+      [TASK_LOAD]: async () => this.load(),
+      [TASK_REFRESH]: async () => this.refreshAll(),
+      [TASK_SAVE]: async () => this.save()
+    };
+
+    this.registerTasks(Object.keys(tasks));
+    await this.runTasks(Object.entries(tasks));
+
+    const depinfo = this.getDependencyInfo();
+    const summaries = [];
+
+    for (const details of this.packages.packages.values())
+      summaries.push(this.summarize(details, depinfo));
+
+    if (this.isJSON) {
+      this.logJSON({ packages: summaries });
+      return;
+    }
+
+    if (summaries.length === 0) {
+      this.log('No packages are tracked, use "pkg add".');
+      return;
+    }
+
+    const headers = ['package', 'git', 'npm', 'deps', 'dependents'];
+    const format = ({all, git, npm}) => `${all} (git: ${git}, npm: ${npm})`;
+
+    const table = summaries.map((summary) => {
+      const gitLatest = summary.git ? `v${summary.git}` : 'N/A';
+      const npmLatest = summary.npm ? `v${summary.npm}` : 'N/A';
+
+      return {
+        package: summary.name,
+        git: gitLatest,
+        npm: fmt.greenRed(npmLatest, () => summary.git === summary.npm),
+        deps: format(summary.dependencies),
+        dependents: format(summary.dependents)
+      };
+    });
+
+    this.log(util.printTable(headers, table));
+  }
+}
+
+/**
+ * Show information about the tracked package.
+ */
+
+class PackagesShow extends PackagesCommand {
+  constructor(options) {
+    super(options);
+
+    this.pkg = options.pkg;
+    this.versions = options.versions || false;
+  }
+
+  async run() {
+    if (!this.pkg)
+      throw new this.Error('Package name is required.');
+
+    const tasks = {
+      [TASK_LOAD]: async () => {
+        await this.load();
+        this.getPackage(this.pkg);
+      },
+      [TASK_REFRESH]: async () => this.refreshAll(),
+      [TASK_SAVE]: async () => this.save()
+    };
+
+    this.registerTasks(Object.keys(tasks));
+    await this.runTasks(Object.entries(tasks));
+
+    const details = this.getPackage(this.pkg);
+    const depinfo = this.getDependencyInfo();
+
+    if (this.isJSON) {
+      this.logJSON({
+        ...this.summarize(details, depinfo),
+        package: details.toJSON()
+      });
+      return;
+    }
+
+    this.log(fmt.formatInfo(details, depinfo, {
+      versions: this.versions
+    }));
+  }
+}
+
+/**
+ * @param {String|Object} repository - package.json repository.
+ * @returns {GitUrl|null}
+ */
+
+function getGitURL(repository) {
+  const parsed = parseRepository(repository);
+
+  if (!parsed)
+    return null;
+
+  const url = git.GitUrl.fromURL(parsed.url);
+
+  return url.isPartial() ? null : url;
+}
+
+exports.PackagesCommand = PackagesCommand;
+exports.PackagesAdd = PackagesAdd;
+exports.PackagesRemove = PackagesRemove;
+exports.PackagesList = PackagesList;
+exports.PackagesShow = PackagesShow;
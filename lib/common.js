@@ -29,5 +29,25 @@ common.statusByID = [
   'DONE'
 ];
 
+/**
+ * @enum {String}
+ * @alias OutputType
+ */
+
+common.OUTPUT = {
+  TEXT: 'text',
+  JSON: 'json'
+};
+
+/**
+ * Version of the JSON output schema,
+ * bump when existing fields change.
+ */
+
+common.JSON_VERSION = 1;
+
 common.CACHE_DIR = '.hs-tools';
 common.CACHE_FILE = 'pkg-cache.json';
+
+// Packages tracked by the pkg commands.
+common.PACKAGES_FILE = 'packages.json';
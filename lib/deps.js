@@ -6,9 +6,52 @@
 
 'use strict';
 
+const semver = require('../vendor/semver');
+const git = require('./api/git-low');
+const {recommendRange} = require('./pkgjson');
+
+/**
+ * @typedef {Object} ResolvedDependency
+ * @property {String} name - dependency name.
+ * @property {String} type - dependencies or devDependencies.
+ * @property {String} kind - git or npm.
+ * @property {String} range - range or git url from the package.json.
+ * @property {String|null} version - version it resolves to.
+ * @property {String|null} ref - git ref, when it's not a version.
+ * @property {String|null} latest - latest version of the dependency.
+ * @property {Boolean} outdated - does not resolve to the latest.
+ */
+
+/**
+ * @typedef {Object} RangeChange
+ * @property {String} name - dependency name.
+ * @property {String} type - dependencies or devDependencies.
+ * @property {String} kind - git or npm.
+ * @property {String} from - current range.
+ * @property {String|null} to - new range, null if it needs manual update.
+ */
+
+/**
+ * @typedef {Object} ReleaseStep
+ * @property {String} name
+ * @property {String|null} version - current version.
+ * @property {String|null} release - new version, null if only
+ *   devDependencies need update.
+ * @property {String|null} bump - major, minor or patch.
+ * @property {Boolean} breaking
+ * @property {RangeChange[]} changes
+ */
+
+/**
+ * @typedef {Object} ReleasePlan
+ * @property {ReleaseStep[]} steps - in release order.
+ * @property {String[]} unaffected - dependents that accept new versions.
+ */
+
 /**
  * @property {PackagesInfo} pkginfo
- * @property {Map} resolvedDependencies - dependencies with specific versions.
+ * @property {Map<String, ResolvedDependency[]>} resolvedDependencies -
+ *   tracked dependencies with specific versions.
  * @property {Map} dependencies - package -> no dependencies.
  * @property {Map} gitDependencies - package -> no git dependencies.
  * @property {Map} npmDependencies - package -> no npm dependencies.
@@ -100,8 +143,342 @@ class DependencyInfo {
     }
   }
 
+  /**
+   * Resolve versions of the tracked dependencies, the same way
+   * npm would do on fresh install.
+   */
+
   resolveDependencies() {
+    this.resolvedDependencies = new Map();
+
+    for (const [name, pkg] of this.pkginfo.packages.entries()) {
+      const resolved = [];
+      const all = [
+        ['dependencies', pkg.dependencies],
+        ['devDependencies', pkg.devDependencies]
+      ];
+
+      for (const [type, deps] of all) {
+        for (const [dname, dep] of deps.entries()) {
+          const depPkg = this.pkginfo.getPackage(dname);
+
+          if (!depPkg)
+            continue;
+
+          if (!dep.isGIT() && !dep.isNPM())
+            continue;
+
+          resolved.push(this.resolveDependency(type, dep, depPkg));
+        }
+      }
+
+      this.resolvedDependencies.set(name, resolved);
+    }
+  }
+
+  /**
+   * @param {String} type
+   * @param {PackageDependency} dep
+   * @param {PackageDetails} depPkg - tracked dependency.
+   * @returns {ResolvedDependency}
+   */
+
+  resolveDependency(type, dep, depPkg) {
+    const {gitInfo, npmInfo} = depPkg;
+    let version = null;
+    let ref = null;
+    let latest = null;
+
+    if (dep.isNPM()) {
+      const versions = Array.from(npmInfo.versions.keys());
+      latest = npmInfo.latest ?? null;
+
+      // npm prefers latest if it satisfies the range.
+      if (latest && semver.satisfies(latest, dep.version))
+        version = latest;
+      else
+        version = semver.maxSatisfying(versions, dep.version);
+    } else {
+      const {extra} = dep.gitURL;
+      const versions = Array.from(gitInfo.versions.keys());
+      latest = gitInfo.latest ?? null;
+
+      if (extra.version != null) {
+        version = semver.maxSatisfying(versions, extra.version);
+      } else {
+        ref = extra.commit ?? extra.branch ?? 'HEAD';
+
+        const sha = ref === 'master' || ref === 'HEAD' ? gitInfo.master : ref;
+        version = findVersionByHash(gitInfo.versions, sha);
+      }
+    }
+
+    return {
+      name: dep.name,
+      type: type,
+      kind: dep.isGIT() ? 'git' : 'npm',
+      range: dep.version,
+      version: version,
+      ref: version ? null : ref,
+      latest: latest,
+      outdated: latest != null && version !== latest
+    };
+  }
+
+  /**
+   * @param {String} name
+   * @returns {String|null}
+   */
+
+  getVersion(name) {
+    const {npmInfo, gitInfo} = this.pkginfo.getPackage(name);
+    return npmInfo.latest ?? gitInfo.latest ?? null;
+  }
+
+  /**
+   * Plan releases of the dependents after the package release.
+   * Dependents whose ranges accept the new version are not affected,
+   * others update the range and release, which cascades to their
+   * dependents. Breaking updates of the dependencies are minor
+   * releases for the dependents, others are patches.
+   * @param {String} name
+   * @param {String} release - new version of the package.
+   * @returns {ReleasePlan}
+   */
+
+  planRelease(name, release) {
+    const version = this.getVersion(name);
+
+    /** @type {Map<String, ReleaseStep>} */
+    const steps = new Map();
+
+    steps.set(name, {
+      name: name,
+      version: version,
+      release: release,
+      bump: version ? semver.diff(version, release) : null,
+      breaking: version ? isBreaking(version, release) : false,
+      changes: []
+    });
+
+    const order = this.releaseOrder(name);
+    const unaffected = [];
+
+    for (const dependent of order.slice(1)) {
+      const changes = [];
+      let released = false;
+      let breaking = false;
+
+      for (const dep of this.resolvedDependencies.get(dependent)) {
+        const step = steps.get(dep.name);
+
+        if (!step || !step.release || !needsUpdate(dep, step.release))
+          continue;
+
+        changes.push({
+          name: dep.name,
+          type: dep.type,
+          kind: dep.kind,
+          from: dep.range,
+          to: updateRange(dep, step.release)
+        });
+
+        if (dep.type === 'dependencies') {
+          released = true;
+          breaking = breaking || step.breaking;
+        }
+      }
+
+      if (changes.length === 0) {
+        unaffected.push(dependent);
+        continue;
+      }
+
+      const current = this.getVersion(dependent);
+      let bump = null;
+
+      if (released)
+        bump = breaking ? 'minor' : 'patch';
+
+      const next = bump && current ? semver.inc(current, bump) : null;
+
+      steps.set(dependent, {
+        name: dependent,
+        version: current,
+        release: next,
+        bump: bump,
+        breaking: next ? isBreaking(current, next) : bump === 'minor',
+        changes: changes
+      });
+    }
+
+    return {
+      steps: Array.from(steps.values()),
+      unaffected: unaffected
+    };
+  }
+
+  /**
+   * Dependents of the package (including itself) in topological order.
+   * devDependencies don't get to the users, so they are the first to
+   * be ignored when there's a cycle.
+   * @param {String} name
+   * @returns {String[]}
+   */
+
+  releaseOrder(name) {
+    const dependents = new Map();
+
+    for (const [dependent, resolved] of this.resolvedDependencies) {
+      for (const dep of resolved) {
+        if (!dependents.has(dep.name))
+          dependents.set(dep.name, []);
+
+        dependents.get(dep.name).push({ name: dependent, type: dep.type });
+      }
+    }
+
+    // Everything that can be affected by the release.
+    const affected = new Set([name]);
+    const queue = [name];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+
+      for (const dependent of dependents.get(current) || []) {
+        if (affected.has(dependent.name))
+          continue;
+
+        affected.add(dependent.name);
+        queue.push(dependent.name);
+      }
+    }
+
+    const incoming = new Map();
+
+    for (const pkg of affected)
+      incoming.set(pkg, { dependencies: 0, devDependencies: 0 });
+
+    for (const pkg of affected) {
+      for (const dep of this.resolvedDependencies.get(pkg)) {
+        if (affected.has(dep.name) && dep.name !== name)
+          incoming.get(pkg)[dep.type] += 1;
+      }
+    }
+
+    // The package itself is released first.
+    const order = [name];
+    const remaining = new Set(affected);
+
+    remaining.delete(name);
+
+    while (remaining.size > 0) {
+      const pending = Array.from(remaining);
+      let ready = pending.filter((pkg) => {
+        const count = incoming.get(pkg);
+        return count.dependencies + count.devDependencies === 0;
+      });
+
+      // Break the cycle one package at a time.
+      if (ready.length === 0) {
+        ready = pending.filter(pkg => incoming.get(pkg).dependencies === 0);
+        ready = ready.slice(0, 1);
+      }
+
+      if (ready.length === 0)
+        throw new Error(`Dependency cycle between: ${pending.join(', ')}.`);
+
+      for (const pkg of ready) {
+        remaining.delete(pkg);
+        order.push(pkg);
+
+        for (const dependent of dependents.get(pkg) || []) {
+          if (remaining.has(dependent.name))
+            incoming.get(dependent.name)[dependent.type] -= 1;
+        }
+      }
+    }
+
+    return order;
   }
 }
 
+/**
+ * Whether users of the old version can't get the new one
+ * with the caret range.
+ * @param {String} version
+ * @param {String} release
+ * @returns {Boolean}
+ */
+
+function isBreaking(version, release) {
+  return !semver.satisfies(release, `^${version}`);
+}
+
+/**
+ * @param {ResolvedDependency} dep
+ * @param {String} release
+ * @returns {Boolean}
+ */
+
+function needsUpdate(dep, release) {
+  if (dep.kind === 'npm')
+    return !semver.satisfies(release, dep.range);
+
+  const {extra} = git.GitUrl.fromNPMURL(dep.range);
+
+  if (extra.version != null)
+    return !semver.satisfies(release, extra.version);
+
+  // branches follow new commits.
+  return extra.commit != null;
+}
+
+/**
+ * @param {ResolvedDependency} dep
+ * @param {String} release
+ * @returns {String|null}
+ */
+
+function updateRange(dep, release) {
+  if (dep.kind === 'npm')
+    return recommendRange(dep.range, release);
+
+  const url = git.GitUrl.fromNPMURL(dep.range);
+
+  if (url.extra.version != null) {
+    const range = recommendRange(url.extra.version, release);
+
+    if (!range)
+      return null;
+
+    url.extra.version = range;
+    return url.toDependencyURL();
+  }
+
+  // commit pins are replaced with the release tag.
+  url.extra.commit = null;
+  url.extra.branch = `v${release}`;
+
+  return url.toDependencyURL();
+}
+
+/**
+ * @param {Map<String, String[]>} versions - version -> tag hashes.
+ * @param {String|null} sha - can be short.
+ * @returns {String|null}
+ */
+
+function findVersionByHash(versions, sha) {
+  if (!sha)
+    return null;
+
+  for (const [version, hashes] of versions.entries()) {
+    if (hashes.some(hash => hash.startsWith(sha)))
+      return version;
+  }
+
+  return null;
+}
+
 exports.DependencyInfo = DependencyInfo;
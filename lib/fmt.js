@@ -57,7 +57,7 @@ fmt.greenRed = (text, check) => {
 
 /**
  * Format package info.
- * @param {PackagesInfo} pkgInfo
+ * @param {PackageDetails} pkgInfo
  * @param {DependencyInfo} deps
  * @param {Object} options
  * @returns {String}
@@ -68,11 +68,11 @@ fmt.formatInfo = (pkgInfo, deps, options) => {
 
   const {gitInfo, npmInfo} = pkgInfo;
 
-  formatted += 'Package information for ${name}:\n';
+  formatted += `Package information for ${pkgInfo.name}:\n`;
 
   {
-    const gitLatest = gitInfo.latest;
-    const npmLatest = npmInfo.latest;
+    const gitLatest = gitInfo.latest ?? 'N/A';
+    const npmLatest = npmInfo.latest ?? 'N/A';
 
     const fmtGitLatest = colors.greenText(gitLatest);
     const fmtNPMLatest = fmt.greenRed(npmLatest,
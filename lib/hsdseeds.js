@@ -0,0 +1,312 @@
+/*!
+ * hsdseeds.js - edit hsd seed list in place.
+ * Copyright (c) 2026, Nodari Chkuaselidze (MIT License).
+ * https://github.com/nodech/hs-tools
+ */
+
+'use strict';
+
+const assert = require('assert');
+const {NetAddress} = require('./netaddr');
+
+const SEEDS_FILE = 'lib/net/seeds/main.js';
+
+const LIST_START = /^\s*module\.exports\s*=\s*\[\s*$/;
+const LIST_END = /^\s*\];?\s*$/;
+const ENTRY = /^(\s*)'([^']+)'(,?)(.*)$/;
+const GENERATED_COMMENT = /^\s*\/\/\s*Other nodes/;
+
+const GENERATED_HEADER = [
+  '// Other nodes discovered by',
+  '//  hs-mainnet.bcoin.ninja',
+  '//  seed.htools.work',
+  '//  htools-org/hnsnodes',
+  '//  hsdnethealth.nodech.dev'
+];
+
+/**
+ * @typedef {Object} SeedsMerge
+ * @property {String[]} added
+ * @property {String[]} removed
+ */
+
+/**
+ * hsd lib/net/seeds/main.js, seeds are grouped in blocks
+ * separated by the empty lines, generated seeds are the
+ * block starting with "Other nodes" comment.
+ * Everything else is kept as is.
+ */
+
+class SeedsFile {
+  constructor() {
+    this.head = [];
+    this.tail = [];
+
+    /** @type {String[][]} */
+    this.blocks = [];
+  }
+
+  /**
+   * @param {String} source
+   * @returns {SeedsFile}
+   */
+
+  fromSource(source) {
+    assert(typeof source === 'string');
+
+    const lines = source.split('\n');
+    const start = lines.findIndex(line => LIST_START.test(line));
+
+    if (start === -1)
+      throw new Error('Could not find "module.exports = [" in seeds file.');
+
+    let end = -1;
+
+    for (let i = lines.length - 1; i > start; i--) {
+      if (LIST_END.test(lines[i])) {
+        end = i;
+        break;
+      }
+    }
+
+    if (end === -1)
+      throw new Error('Could not find the end of the seed list.');
+
+    this.head = lines.slice(0, start + 1);
+    this.tail = lines.slice(end);
+    this.blocks = [];
+
+    let block = [];
+
+    for (const line of lines.slice(start + 1, end)) {
+      if (line.trim() !== '') {
+        block.push(line);
+        continue;
+      }
+
+      if (block.length > 0)
+        this.blocks.push(block);
+
+      block = [];
+    }
+
+    if (block.length > 0)
+      this.blocks.push(block);
+
+    return this;
+  }
+
+  /**
+   * @returns {Number} - -1 if there is no generated block.
+   */
+
+  findGenerated() {
+    return this.blocks.findIndex((block) => {
+      return block.some(line => GENERATED_COMMENT.test(line));
+    });
+  }
+
+  /**
+   * @returns {String} - indentation of the entries.
+   */
+
+  getIndent() {
+    for (const block of this.blocks) {
+      for (const line of block) {
+        const match = ENTRY.exec(line);
+
+        if (match)
+          return match[1];
+      }
+    }
+
+    return '  ';
+  }
+
+  /**
+   * Hostnames of the seeds outside of the block.
+   * @param {Number} skip - block index.
+   * @returns {Set<String>}
+   */
+
+  getHostnames(skip) {
+    const hostnames = new Set();
+
+    for (const [i, block] of this.blocks.entries()) {
+      if (i === skip)
+        continue;
+
+      for (const line of block) {
+        const addr = parseEntry(line);
+
+        if (addr)
+          hostnames.add(addr.toHostname());
+      }
+    }
+
+    return hostnames;
+  }
+
+  /**
+   * Update generated seeds: drop seeds that were checked and
+   * did not make it, keep unknown ones and add new ones.
+   * Entries stay sorted, comments stay in place.
+   * @param {NetAddress[]} selected
+   * @param {Function} isChecked - hostname -> Boolean.
+   * @returns {SeedsMerge}
+   */
+
+  mergeGenerated(selected, isChecked) {
+    let index = this.findGenerated();
+
+    if (index === -1) {
+      const indent = this.getIndent();
+
+      this.blocks.push(GENERATED_HEADER.map(line => indent + line));
+      index = this.blocks.length - 1;
+    }
+
+    const others = this.getHostnames(index);
+    const wanted = new Set(selected.map(addr => addr.toHostname()));
+    const existing = new Set();
+    const indent = this.getIndent();
+    const block = [];
+    const removed = [];
+    const added = [];
+
+    for (const line of this.blocks[index]) {
+      const addr = parseEntry(line);
+
+      if (!addr) {
+        block.push(line);
+        continue;
+      }
+
+      const hostname = addr.toHostname();
+
+      if (!wanted.has(hostname) && isChecked(hostname)) {
+        removed.push(addr.toSeedString());
+        continue;
+      }
+
+      existing.add(hostname);
+      block.push(line);
+    }
+
+    for (const addr of selected) {
+      const hostname = addr.toHostname();
+
+      if (existing.has(hostname) || others.has(hostname))
+        continue;
+
+      existing.add(hostname);
+      added.push(addr.toSeedString());
+      block.push(`${indent}'${addr.toSeedString()}',`);
+    }
+
+    this.blocks[index] = sortEntries(block);
+
+    return { added, removed };
+  }
+
+  /**
+   * Every entry has a comma except the last one.
+   */
+
+  fixCommas() {
+    let last = null;
+
+    for (const block of this.blocks) {
+      for (const [i, line] of block.entries()) {
+        const match = ENTRY.exec(line);
+
+        if (!match)
+          continue;
+
+        const [, indent, seed, , rest] = match;
+
+        block[i] = `${indent}'${seed}',${rest}`;
+        last = [block, i, indent, seed, rest];
+      }
+    }
+
+    if (last) {
+      const [block, i, indent, seed, rest] = last;
+      block[i] = `${indent}'${seed}'${rest}`;
+    }
+  }
+
+  /**
+   * @returns {String}
+   */
+
+  toString() {
+    this.fixCommas();
+
+    const body = [];
+
+    for (const [i, block] of this.blocks.entries()) {
+      if (i > 0)
+        body.push('');
+
+      body.push(...block);
+    }
+
+    return [...this.head, ...body, ...this.tail].join('\n');
+  }
+
+  static fromSource(source) {
+    return new this().fromSource(source);
+  }
+}
+
+/**
+ * Sort seed entries of the block, other lines keep their positions.
+ * @param {String[]} block
+ * @returns {String[]}
+ */
+
+function sortEntries(block) {
+  const slots = [];
+  const entries = [];
+
+  for (const [i, line] of block.entries()) {
+    const addr = parseEntry(line);
+
+    if (!addr)
+      continue;
+
+    slots.push(i);
+    entries.push({ addr, line });
+  }
+
+  entries.sort((a, b) => a.addr.compare(b.addr));
+
+  const sorted = block.slice();
+
+  for (const [i, slot] of slots.entries())
+    sorted[slot] = entries[i].line;
+
+  return sorted;
+}
+
+/**
+ * @param {String} line
+ * @returns {NetAddress|null}
+ */
+
+function parseEntry(line) {
+  const match = ENTRY.exec(line);
+
+  if (!match)
+    return null;
+
+  try {
+    return NetAddress.fromString(match[2]);
+  } catch (e) {
+    return null;
+  }
+}
+
+exports.SEEDS_FILE = SEEDS_FILE;
+exports.SeedsFile = SeedsFile;
@@ -0,0 +1,297 @@
+/*!
+ * netaddr.js - hsd peer addresses.
+ * Copyright (c) 2026, Nodari Chkuaselidze (MIT License).
+ * https://github.com/nodech/hs-tools
+ */
+
+'use strict';
+
+const assert = require('assert');
+const net = require('net');
+const dns = require('dns').promises;
+const {decodeKey, encodeKey} = require('./brontide');
+const {networks, ipToRaw} = require('./p2p');
+
+const ONION_REGEX = /^(?:[a-z2-7]{16}|[a-z2-7]{56})\.onion$/;
+const LABEL = '[a-z0-9_](?:[a-z0-9_-]{0,61}[a-z0-9])?';
+const NAME_REGEX = new RegExp(`^(?=.{1,253}$)${LABEL}(?:\\.${LABEL})*\\.?$`);
+
+const types = {
+  IPV4: 'ipv4',
+  IPV6: 'ipv6',
+  ONION: 'onion',
+  NAME: 'name'
+};
+
+const typeOrder = [types.IPV4, types.IPV6, types.ONION, types.NAME];
+
+/**
+ * Address of the hsd peer, same format as hsd hostnames:
+ * [key@]host[:port], where IPv6 hosts with ports are in brackets.
+ * @property {String} host - without brackets.
+ * @property {Number} port
+ * @property {Buffer|null} key - brontide identity key.
+ * @property {String} type - ipv4, ipv6, onion or name.
+ */
+
+class NetAddress {
+  constructor() {
+    this.host = '';
+    this.port = 0;
+    this.key = null;
+    this.type = types.NAME;
+  }
+
+  /**
+   * @param {String} host
+   * @param {Number} port
+   * @param {Buffer} [key]
+   * @returns {NetAddress}
+   */
+
+  fromHost(host, port, key) {
+    assert(typeof host === 'string');
+    assert((port & 0xffff) === port, `Invalid port: ${port}.`);
+    assert(!key || Buffer.isBuffer(key));
+
+    [this.host, this.type] = normalizeHost(host);
+    this.port = port;
+    this.key = key || null;
+
+    return this;
+  }
+
+  /**
+   * @param {String} str - [key@]host[:port]
+   * @param {String} [network=main] - for the default ports.
+   * @returns {NetAddress}
+   */
+
+  fromString(str, network = 'main') {
+    assert(typeof str === 'string');
+    assert(networks[network], `Unknown network ${network}.`);
+
+    let hostport = str.trim();
+    let key = null;
+
+    const at = hostport.indexOf('@');
+
+    if (at !== -1) {
+      key = decodeKey(hostport.substring(0, at));
+      hostport = hostport.substring(at + 1);
+    }
+
+    let host = hostport;
+    let port = null;
+
+    if (hostport.startsWith('[')) {
+      const end = hostport.indexOf(']');
+
+      if (end === -1)
+        throw new Error(`Invalid address: ${str}.`);
+
+      host = hostport.substring(1, end);
+
+      const rest = hostport.substring(end + 1);
+
+      if (rest.length > 0) {
+        if (!rest.startsWith(':'))
+          throw new Error(`Invalid address: ${str}.`);
+
+        port = rest.substring(1);
+      }
+
+      if (!net.isIPv6(host))
+        throw new Error(`Invalid IPv6 address: ${str}.`);
+    } else if (hostport.indexOf(':') === hostport.lastIndexOf(':')) {
+      // More than one colon is IPv6 without the port.
+      const colon = hostport.indexOf(':');
+
+      if (colon !== -1) {
+        host = hostport.substring(0, colon);
+        port = hostport.substring(colon + 1);
+      }
+    }
+
+    if (port != null && !/^\d{1,5}$/.test(port))
+      throw new Error(`Invalid port in: ${str}.`);
+
+    const {port: clear, brontidePort} = networks[network];
+    const defaultPort = key ? brontidePort : clear;
+
+    if (port == null)
+      port = defaultPort;
+
+    try {
+      return this.fromHost(host, Number(port), key);
+    } catch (e) {
+      throw new Error(`Invalid address: ${str}.`);
+    }
+  }
+
+  isIPv4() {
+    return this.type === types.IPV4;
+  }
+
+  isIPv6() {
+    return this.type === types.IPV6;
+  }
+
+  isIP() {
+    return this.isIPv4() || this.isIPv6();
+  }
+
+  isOnion() {
+    return this.type === types.ONION;
+  }
+
+  isName() {
+    return this.type === types.NAME;
+  }
+
+  /**
+   * IPv6 mapped address.
+   * @returns {Buffer}
+   */
+
+  toRaw() {
+    assert(this.isIP(), 'Only IP addresses have raw form.');
+    return ipToRaw(this.host);
+  }
+
+  /**
+   * IPv4 first, IPs are compared by value.
+   * @param {NetAddress} addr
+   * @returns {Number}
+   */
+
+  compare(addr) {
+    if (this.type !== addr.type)
+      return typeOrder.indexOf(this.type) - typeOrder.indexOf(addr.type);
+
+    let cmp;
+
+    if (this.isIP())
+      cmp = this.toRaw().compare(addr.toRaw());
+    else
+      cmp = this.host.localeCompare(addr.host);
+
+    if (cmp !== 0)
+      return cmp;
+
+    return this.port - addr.port;
+  }
+
+  /**
+   * Host as it's written in the hostname.
+   * @returns {String}
+   */
+
+  formatHost() {
+    return this.isIPv6() ? `[${this.host}]` : this.host;
+  }
+
+  /**
+   * @returns {String} - host:port
+   */
+
+  toHostname() {
+    return `${this.formatHost()}:${this.port}`;
+  }
+
+  /**
+   * @returns {String} - [key@]host:port
+   */
+
+  toString() {
+    if (!this.key)
+      return this.toHostname();
+
+    return `${encodeKey(this.key)}@${this.toHostname()}`;
+  }
+
+  /**
+   * Entry of the hsd seed list, default port is omitted.
+   * @param {String} [network=main]
+   * @returns {String} - [key@]host[:port]
+   */
+
+  toSeedString(network = 'main') {
+    assert(networks[network], `Unknown network ${network}.`);
+
+    const {port, brontidePort} = networks[network];
+    const defaultPort = this.key ? brontidePort : port;
+
+    let seed = this.port === defaultPort
+      ? this.formatHost()
+      : this.toHostname();
+
+    if (this.key)
+      seed = `${encodeKey(this.key)}@${seed}`;
+
+    return seed;
+  }
+
+  /**
+   * Resolve names to IP addresses, keeping the port and the key.
+   * @returns {Promise<NetAddress[]>}
+   */
+
+  async resolve() {
+    if (!this.isName())
+      return [this];
+
+    const results = await dns.lookup(this.host, { all: true });
+
+    return results.map(({address}) => {
+      return NetAddress.fromHost(address, this.port, this.key);
+    });
+  }
+
+  toJSON() {
+    return {
+      host: this.host,
+      port: this.port,
+      key: this.key ? encodeKey(this.key) : null,
+      type: this.type,
+      hostname: this.toString()
+    };
+  }
+
+  static fromHost(host, port, key) {
+    return new this().fromHost(host, port, key);
+  }
+
+  static fromString(str, network) {
+    return new this().fromString(str, network);
+  }
+}
+
+/**
+ * @param {String} host
+ * @returns {Array} - [host, type]
+ */
+
+function normalizeHost(host) {
+  if (net.isIPv4(host))
+    return [host, types.IPV4];
+
+  if (net.isIPv6(host)) {
+    // URL compresses and lowercases IPv6.
+    const {hostname} = new URL(`http://[${host}]/`);
+    return [hostname.slice(1, -1), types.IPV6];
+  }
+
+  const name = host.toLowerCase();
+
+  if (ONION_REGEX.test(name))
+    return [name, types.ONION];
+
+  if (!NAME_REGEX.test(name))
+    throw new Error(`Invalid host: ${host}.`);
+
+  return [name, types.NAME];
+}
+
+exports.types = types;
+exports.NetAddress = NetAddress;
@@ -0,0 +1,518 @@
+/*!
+ * p2p.js - minimal hsd p2p protocol for probing peers.
+ * Copyright (c) 2026, Nodari Chkuaselidze (MIT License).
+ * https://github.com/nodech/hs-tools
+ */
+
+'use strict';
+
+const assert = require('assert');
+const net = require('net');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const {Brontide} = require('./brontide');
+const pkg = require('../package.json');
+
+/**
+ * @typedef {Object} VersionInfo
+ * @property {Number} version - protocol version.
+ * @property {Number} services
+ * @property {Number} time
+ * @property {Object} remote - {time, services, host, port}
+ * @property {Buffer} nonce
+ * @property {String} agent
+ * @property {Number} height
+ * @property {Boolean} noRelay
+ */
+
+/**
+ * @typedef {Object} ProbeResult
+ * @property {String} host
+ * @property {Number} port
+ * @property {Number} version - protocol version.
+ * @property {Number} services
+ * @property {String[]} serviceNames
+ * @property {String} agent
+ * @property {Number} height - start height.
+ * @property {Boolean} noRelay
+ * @property {Boolean} encrypted - used brontide with the identity key.
+ * @property {Number} connectTime - ms to open the connection.
+ * @property {Number} latency - ms from the version to the verack.
+ */
+
+const networks = {
+  main: { magic: 1533997779, port: 12038, brontidePort: 44806 },
+  testnet: { magic: 2974944722, port: 13038, brontidePort: 45806 },
+  regtest: { magic: 2922943951, port: 14038, brontidePort: 46806 },
+  simnet: { magic: 241471196, port: 15038, brontidePort: 47806 }
+};
+
+const types = {
+  VERSION: 0,
+  VERACK: 1,
+  PING: 2,
+  PONG: 3
+};
+
+const services = {
+  NETWORK: 1 << 0,
+  BLOOM: 1 << 1
+};
+
+const PROTOCOL_VERSION = 3;
+const HEADER_SIZE = 9;
+const MAX_MESSAGE = 8 * 1000 * 1000;
+const NETADDR_SIZE = 88;
+const USER_AGENT = `/${pkg.name}:${pkg.version}/`;
+const PROBE_TIMEOUT = 5000;
+
+/**
+ * Peer closed the connection during the brontide handshake,
+ * hsd does that when act one was encrypted to a different key.
+ */
+
+class KeyMismatchError extends Error {}
+
+/**
+ * Frame a payload with a header.
+ * @param {Number} magic
+ * @param {Number} type
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+
+function frame(magic, type, payload) {
+  assert(Buffer.isBuffer(payload));
+  assert(payload.length <= MAX_MESSAGE);
+
+  const header = Buffer.alloc(HEADER_SIZE);
+
+  header.writeUInt32LE(magic >>> 0, 0);
+  header[4] = type;
+  header.writeUInt32LE(payload.length, 5);
+
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Split frames from the stream.
+ * @fires Parser#packet - {type, payload}
+ * @fires Parser#error
+ */
+
+class Parser extends EventEmitter {
+  /**
+   * @param {Number} magic
+   */
+
+  constructor(magic) {
+    super();
+
+    this.magic = magic;
+    this.pending = Buffer.alloc(0);
+  }
+
+  /**
+   * @param {Buffer} data
+   */
+
+  feed(data) {
+    this.pending = Buffer.concat([this.pending, data]);
+
+    while (this.pending.length >= HEADER_SIZE) {
+      const magic = this.pending.readUInt32LE(0);
+      const type = this.pending[4];
+      const size = this.pending.readUInt32LE(5);
+
+      if (magic !== this.magic) {
+        this.emit('error', new Error(`Invalid magic value: ${magic}.`));
+        this.pending = Buffer.alloc(0);
+        return;
+      }
+
+      if (size > MAX_MESSAGE) {
+        this.emit('error', new Error(`Packet length too large: ${size}.`));
+        this.pending = Buffer.alloc(0);
+        return;
+      }
+
+      if (this.pending.length < HEADER_SIZE + size)
+        return;
+
+      const payload = this.pending.subarray(HEADER_SIZE, HEADER_SIZE + size);
+      this.pending = this.pending.subarray(HEADER_SIZE + size);
+
+      this.emit('packet', { type, payload });
+    }
+  }
+}
+
+/**
+ * @param {Buffer} data
+ * @param {Number} offset
+ * @param {Number} value
+ * @returns {Number}
+ */
+
+function writeU64(data, offset, value) {
+  data.writeUInt32LE(value % 0x100000000, offset);
+  data.writeUInt32LE(Math.floor(value / 0x100000000), offset + 4);
+  return offset + 8;
+}
+
+/**
+ * @param {Buffer} data
+ * @param {Number} offset
+ * @returns {Number}
+ */
+
+function readU64(data, offset) {
+  const lo = data.readUInt32LE(offset);
+  const hi = data.readUInt32LE(offset + 4);
+  return hi * 0x100000000 + lo;
+}
+
+/**
+ * IPv4 addresses are mapped to IPv6, hostnames are left empty.
+ * @param {String} host
+ * @returns {Buffer}
+ */
+
+function ipToRaw(host) {
+  const raw = Buffer.alloc(16);
+
+  if (net.isIPv4(host)) {
+    raw[10] = 0xff;
+    raw[11] = 0xff;
+
+    for (const [i, octet] of host.split('.').entries())
+      raw[12 + i] = Number(octet);
+
+    return raw;
+  }
+
+  if (!net.isIPv6(host))
+    return raw;
+
+  const [head, tail = ''] = host.split('::');
+  const left = head ? head.split(':') : [];
+  const right = tail ? tail.split(':') : [];
+  const missing = 8 - left.length - right.length;
+  const groups = [...left, ...new Array(missing).fill('0'), ...right];
+
+  for (const [i, group] of groups.entries())
+    raw.writeUInt16BE(parseInt(group, 16), i * 2);
+
+  return raw;
+}
+
+/**
+ * @param {Buffer} raw
+ * @returns {String}
+ */
+
+function rawToIP(raw) {
+  const mapped = raw.subarray(0, 12)
+    .equals(Buffer.from('00000000000000000000ffff', 'hex'));
+
+  if (mapped)
+    return Array.from(raw.subarray(12)).join('.');
+
+  const groups = [];
+
+  for (let i = 0; i < 16; i += 2)
+    groups.push(raw.readUInt16BE(i).toString(16));
+
+  return groups.join(':');
+}
+
+/**
+ * @param {Object} addr - {time, services, host, port}
+ * @returns {Buffer}
+ */
+
+function encodeNetAddress(addr) {
+  const data = Buffer.alloc(NETADDR_SIZE);
+  let offset = 0;
+
+  offset = writeU64(data, offset, addr.time || 0);
+  offset = data.writeUInt32LE(addr.services || 0, offset);
+
+  // hi service bits and address type.
+  offset += 4 + 1;
+
+  ipToRaw(addr.host || '').copy(data, offset);
+
+  // raw and reserved.
+  offset += 16 + 20;
+  offset = data.writeUInt16LE(addr.port || 0, offset);
+
+  // key stays empty.
+  return data;
+}
+
+/**
+ * @param {Buffer} data
+ * @returns {Object}
+ */
+
+function decodeNetAddress(data) {
+  assert(data.length >= NETADDR_SIZE, 'Address is too short.');
+
+  return {
+    time: readU64(data, 0),
+    services: data.readUInt32LE(8),
+    host: data[16] === 0 ? rawToIP(data.subarray(17, 33)) : null,
+    port: data.readUInt16LE(53),
+    key: data.subarray(55, 88)
+  };
+}
+
+/**
+ * @param {Object} options
+ * @returns {Buffer}
+ */
+
+function encodeVersion(options) {
+  const agent = Buffer.from(options.agent ?? USER_AGENT, 'ascii');
+  const head = Buffer.alloc(20);
+  const tail = Buffer.alloc(5);
+
+  assert(agent.length <= 0xff, 'Agent is too long.');
+
+  head.writeUInt32LE(options.version ?? PROTOCOL_VERSION, 0);
+  head.writeUInt32LE(options.services ?? 0, 4);
+  writeU64(head, 12, options.time ?? Math.floor(Date.now() / 1000));
+
+  tail.writeUInt32LE(options.height ?? 0, 0);
+  tail[4] = options.noRelay ? 1 : 0;
+
+  return Buffer.concat([
+    head,
+    encodeNetAddress(options.remote || {}),
+    options.nonce ?? crypto.randomBytes(8),
+    Buffer.from([agent.length]),
+    agent,
+    tail
+  ]);
+}
+
+/**
+ * @param {Buffer} data
+ * @returns {VersionInfo}
+ */
+
+function decodeVersion(data) {
+  let offset = 0;
+
+  const need = (size) => {
+    if (offset + size > data.length)
+      throw new Error('Version packet is too short.');
+  };
+
+  need(20);
+  const version = data.readUInt32LE(0);
+  const bits = data.readUInt32LE(4);
+  const time = readU64(data, 12);
+  offset += 20;
+
+  need(NETADDR_SIZE);
+  const remote = decodeNetAddress(data.subarray(offset));
+  offset += NETADDR_SIZE;
+
+  need(9);
+  const nonce = data.subarray(offset, offset + 8);
+  const agentSize = data[offset + 8];
+  offset += 9;
+
+  need(agentSize + 5);
+  const agent = data.toString('ascii', offset, offset + agentSize);
+  offset += agentSize;
+
+  return {
+    version,
+    services: bits,
+    time,
+    remote,
+    nonce,
+    agent,
+    height: data.readUInt32LE(offset),
+    noRelay: data[offset + 4] === 1
+  };
+}
+
+/**
+ * @param {Number} bits
+ * @returns {String[]}
+ */
+
+function getServiceNames(bits) {
+  const names = [];
+
+  for (const [name, bit] of Object.entries(services)) {
+    if (bits & bit)
+      names.push(name.toLowerCase());
+  }
+
+  return names;
+}
+
+/**
+ * Connect to the peer and do the version/verack handshake.
+ * We don't announce any services, so the peer won't expect
+ * anything from us.
+ * @param {Object} options
+ * @param {String} options.host
+ * @param {Number} options.port
+ * @param {Buffer} [options.key] - identity key, uses brontide.
+ * @param {String} [options.network=main]
+ * @param {Number} [options.timeout=5000]
+ * @returns {Promise<ProbeResult>}
+ */
+
+function probe(options) {
+  const network = networks[options.network || 'main'];
+  const timeout = options.timeout ?? PROBE_TIMEOUT;
+
+  assert(network, `Unknown network ${options.network}.`);
+  assert(typeof options.host === 'string');
+  assert((options.port & 0xffff) === options.port);
+
+  const {host, port, key} = options;
+  const parser = new Parser(network.magic);
+  const start = Date.now();
+
+  let brontide = null;
+  let connected = 0;
+  let remote = null;
+  let acked = false;
+  let done = false;
+  let timer = null;
+
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host, port });
+
+    const finish = (err, result) => {
+      if (done)
+        return;
+
+      done = true;
+      clearTimeout(timer);
+      socket.destroy();
+
+      if (err)
+        reject(err);
+      else
+        resolve(result);
+    };
+
+    timer = setTimeout(() => {
+      finish(new Error(`Handshake with ${host}:${port} timed out.`));
+    }, timeout);
+
+    const check = () => {
+      if (!remote || !acked)
+        return;
+
+      finish(null, {
+        host: host,
+        port: port,
+        version: remote.version,
+        services: remote.services,
+        serviceNames: getServiceNames(remote.services),
+        agent: remote.agent,
+        height: remote.height,
+        noRelay: remote.noRelay,
+        encrypted: brontide != null,
+        connectTime: connected - start,
+        latency: Date.now() - connected
+      });
+    };
+
+    const send = (type, payload) => {
+      const packet = frame(network.magic, type, payload);
+
+      if (brontide)
+        brontide.write(packet);
+      else
+        socket.write(packet);
+    };
+
+    const sendVersion = () => {
+      send(types.VERSION, encodeVersion({
+        remote: { host, port },
+        noRelay: true
+      }));
+    };
+
+    socket.on('connect', () => {
+      connected = Date.now();
+
+      if (!key) {
+        socket.on('data', data => parser.feed(data));
+        sendVersion();
+        return;
+      }
+
+      brontide = new Brontide();
+      brontide.on('connect', sendVersion);
+      brontide.on('data', data => parser.feed(data));
+      brontide.on('error', err => finish(err));
+      brontide.connect(socket, key);
+    });
+
+    socket.on('error', err => finish(err));
+    socket.on('close', () => {
+      if (brontide && !brontide.handshake) {
+        finish(new KeyMismatchError(
+          `${host}:${port} rejected the identity key.`));
+        return;
+      }
+
+      finish(new Error(`Connection to ${host}:${port} was closed.`));
+    });
+
+    parser.on('error', err => finish(err));
+    parser.on('packet', ({type, payload}) => {
+      switch (type) {
+        case types.VERSION: {
+          try {
+            remote = decodeVersion(payload);
+          } catch (e) {
+            finish(e);
+            return;
+          }
+
+          send(types.VERACK, Buffer.alloc(0));
+          break;
+        }
+        case types.VERACK: {
+          acked = true;
+          break;
+        }
+        case types.PING: {
+          send(types.PONG, payload);
+          break;
+        }
+      }
+
+      check();
+    });
+  });
+}
+
+exports.networks = networks;
+exports.types = types;
+exports.services = services;
+exports.PROTOCOL_VERSION = PROTOCOL_VERSION;
+exports.USER_AGENT = USER_AGENT;
+exports.KeyMismatchError = KeyMismatchError;
+exports.Parser = Parser;
+exports.frame = frame;
+exports.ipToRaw = ipToRaw;
+exports.encodeNetAddress = encodeNetAddress;
+exports.decodeNetAddress = decodeNetAddress;
+exports.encodeVersion = encodeVersion;
+exports.decodeVersion = decodeVersion;
+exports.getServiceNames = getServiceNames;
+exports.probe = probe;
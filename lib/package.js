@@ -8,8 +8,8 @@
 
 const assert = require('assert');
 const semver = require('../vendor/semver');
-const git = require('./git');
-const util = require('./util');
+const git = require('./api/git-low');
+const util = require('./utils/util');
 
 const DEPENDENCY_TYPE = {
   NONE: 0,
@@ -150,14 +150,14 @@ class PackageDetails {
       this.setDevDependencies(options.devDependencies);
     }
 
+    this.npmInfo.name = this.name;
+
     if (options.npmInfo != null) {
       assert(typeof options.npmInfo === 'object',
         'options.npmInfo must be an object.');
-      this.npmInfo.data = options.npmInfo;
+      this.npmInfo.setInfo(options.npmInfo);
     }
 
-    this.npmInfo.name = this.name;
-
     return this;
   }
 
@@ -169,6 +169,8 @@ class PackageDetails {
 
   setDependencies(dependencies) {
     this.modified = true;
+    this.dependencies = new Map();
+
     for (const [dep, version] of Object.entries(dependencies)) {
       const pkgdep = new PackageDependency({
         name: dep,
@@ -187,6 +189,8 @@ class PackageDetails {
 
   setDevDependencies(dependencies) {
     this.modified = true;
+    this.devDependencies = new Map();
+
     for (const [dep, version] of Object.entries(dependencies)) {
       const pkgdep = new PackageDependency({
         name: dep,
@@ -293,7 +297,10 @@ class PackageGIT {
 
   updateLSRemote(info) {
     this.modified = true;
-    this.master = info.master;
+    this.master = info.master ?? info.head;
+    this.versions = new Map();
+    this.aliases = new Map();
+    this._latest = null;
 
     for (const [key, value] of Object.entries(info.tags)) {
       if (git.isVersion(key)) {
@@ -308,7 +315,7 @@ class PackageGIT {
 
   toJSON() {
     return {
-      url: this.url.toHTTPGit(),
+      url: this.url.isPartial() ? null : this.url.toHTTPGit(),
       master: this.master,
       latest: this.latest,
       versions: map2json(this.versions),
@@ -318,12 +325,15 @@ class PackageGIT {
 
   fromJSON(json) {
     assert(typeof json === 'object');
-    assert(typeof json.url === 'string');
-    assert(typeof json.master === 'string');
+    assert(json.url === null || typeof json.url === 'string');
+    assert(json.master === null || typeof json.master === 'string');
     assert(typeof json.versions === 'object');
     assert(typeof json.aliases === 'object');
 
-    this.url = git.GitUrl.fromURL(json.url);
+    if (json.url != null)
+      this.url = git.GitUrl.fromURL(json.url);
+
+    this.master = json.master;
     this.versions = json2map(json.versions);
     this.aliases = json2map(json.aliases);
 
@@ -349,7 +359,7 @@ class PackageNPM {
   }
 
   get gitRepository() {
-    return git.gitURL.fromURL(this.homepage);
+    return git.GitUrl.fromURL(this.homepage);
   }
 
   get npmURL() {
@@ -368,10 +378,12 @@ class PackageNPM {
   setInfo(info) {
     this.modified = true;
 
-    this.homepage = info.homepage;
+    this.homepage = info.homepage || '';
+    this.tags = new Map();
+    this.versions = new Map();
 
     for (const version of Object.keys(info.versions)) {
-      const time = info.time[version];
+      const time = info.time?.[version] ?? null;
       this.versions.set(version, time);
     }
 
@@ -440,9 +452,8 @@ class PackageDependency {
   parseVersion(versionStr) {
     let type, version;
 
-    if (versionStr.startsWith('git+https://')
-      || versionStr.startsWith('https://')) {
-      const url = git.GitUrl.fromURL(version);
+    if (git.isGitUrl(versionStr)) {
+      const url = git.GitUrl.fromURL(versionStr);
 
       type = DEPENDENCY_TYPE.GIT;
       version = url.toDependencyURL();
@@ -465,6 +476,17 @@ class PackageDependency {
     return this.type === DEPENDENCY_TYPE.GIT;
   }
 
+  /**
+   * @returns {GitUrl|null}
+   */
+
+  get gitURL() {
+    if (!this.isGIT())
+      return null;
+
+    return git.GitUrl.fromNPMURL(this.version);
+  }
+
   toJSON() {
     return {
       name: this.name,
@@ -522,3 +544,4 @@ exports.PackagesInfo = PackagesInfo;
 exports.PackageGIT = PackageGIT;
 exports.PackageNPM = PackageNPM;
 exports.PackageDependency = PackageDependency;
+exports.DEPENDENCY_TYPE = DEPENDENCY_TYPE;
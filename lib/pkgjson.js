@@ -0,0 +1,88 @@
+/*!
+ * pkgjson.js - edit package.json in place.
+ * Copyright (c) 2026, Nodari Chkuaselidze (MIT License).
+ * https://github.com/nodech/hs-tools
+ */
+
+'use strict';
+
+const assert = require('assert');
+const semver = require('../vendor/semver');
+
+/**
+ * Replace the range of the dependency without touching
+ * the rest of the file: formatting and key order stay the same.
+ * @param {String} text - package.json contents.
+ * @param {String} section - dependencies, devDependencies, etc.
+ * @param {String} name
+ * @param {String} range - new range.
+ * @returns {String}
+ */
+
+function setDependencyRange(text, section, name, range) {
+  assert(typeof text === 'string');
+
+  const sectionRegex = new RegExp(`"${escapeRegex(section)}"\\s*:\\s*\\{`);
+  const sectionMatch = sectionRegex.exec(text);
+
+  if (!sectionMatch)
+    throw new Error(`Could not find ${section}.`);
+
+  // dependency sections don't have nested objects.
+  const start = sectionMatch.index + sectionMatch[0].length;
+  const end = text.indexOf('}', start);
+
+  assert(end !== -1, `Could not find the end of ${section}.`);
+
+  const body = text.substring(start, end);
+  const depRegex = new RegExp(`("${escapeRegex(name)}"\\s*:\\s*)"[^"]*"`);
+
+  if (!depRegex.test(body))
+    throw new Error(`Could not find ${name} in ${section}.`);
+
+  const newBody = body.replace(depRegex, (_, key) => {
+    return key + JSON.stringify(range);
+  });
+
+  const result = text.substring(0, start) + newBody + text.substring(end);
+
+  // Make sure we did not break anything.
+  const json = JSON.parse(result);
+  assert(json[section][name] === range);
+
+  return result;
+}
+
+/**
+ * Range with the same operator that starts at the version,
+ * complex ranges are not rewritten.
+ * @param {String} range
+ * @param {String} version
+ * @returns {String|null}
+ */
+
+function recommendRange(range, version) {
+  const match = /^\s*(\^|~|>=|=)?\s*v?\d+\.\d+\.\d+\S*\s*$/.exec(range);
+
+  if (!match)
+    return null;
+
+  const min = semver.minVersion(range);
+
+  if (!min || !semver.lt(min, version))
+    return null;
+
+  return `${match[1] ?? ''}${version}`;
+}
+
+/**
+ * @param {String} str
+ * @returns {String}
+ */
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+exports.setDependencyRange = setDependencyRange;
+exports.recommendRange = recommendRange;
@@ -0,0 +1,180 @@
+/*!
+ * pkglock.js - package-lock.json reader.
+ * Copyright (c) 2026, Nodari Chkuaselidze (MIT License).
+ * https://github.com/nodech/hs-tools
+ */
+
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('bfile');
+
+const LOCK_FILE = 'package-lock.json';
+
+/**
+ * @typedef {Object} LockedPackage
+ * @property {String} name
+ * @property {String} version - for v1 git deps this is the git url.
+ * @property {String|null} resolved - tarball or git url with the commit.
+ * @property {String|null} integrity
+ * @property {Boolean} dev
+ * @property {Boolean} optional
+ */
+
+/**
+ * Top level packages from the package-lock.json.
+ * lockfileVersion 1 only has nested "dependencies",
+ * 2 has both "packages" and "dependencies" and 3 only has "packages".
+ */
+
+class PackageLock {
+  constructor() {
+    this.lockfileVersion = 1;
+
+    /** @type {Map<String, LockedPackage>} */
+    this.packages = new Map();
+  }
+
+  /**
+   * @param {String} name
+   * @returns {Boolean}
+   */
+
+  has(name) {
+    return this.packages.has(name);
+  }
+
+  /**
+   * @param {String} name
+   * @returns {LockedPackage|null}
+   */
+
+  get(name) {
+    return this.packages.get(name) || null;
+  }
+
+  fromJSON(json) {
+    assert(json && typeof json === 'object', 'Lock file must be an object.');
+
+    this.lockfileVersion = json.lockfileVersion ?? 1;
+
+    assert(typeof this.lockfileVersion === 'number',
+      'lockfileVersion must be a number.');
+
+    if (this.lockfileVersion >= 2 && json.packages)
+      this.fromPackages(json.packages);
+    else if (json.dependencies)
+      this.fromDependencies(json.dependencies);
+
+    return this;
+  }
+
+  /**
+   * v2 and v3 format, keyed by the install path.
+   * @param {Object} packages
+   */
+
+  fromPackages(packages) {
+    const prefix = 'node_modules/';
+
+    for (const [key, info] of Object.entries(packages)) {
+      if (!key.startsWith(prefix))
+        continue;
+
+      const name = key.substr(prefix.length);
+
+      // nested node_modules are not top level.
+      if (name.includes(`/${prefix}`))
+        continue;
+
+      // workspaces are links without versions.
+      if (info.link)
+        continue;
+
+      this.add(name, info);
+    }
+  }
+
+  /**
+   * v1 format, top level of the dependency tree.
+   * @param {Object} dependencies
+   */
+
+  fromDependencies(dependencies) {
+    for (const [name, info] of Object.entries(dependencies))
+      this.add(name, info);
+  }
+
+  add(name, info) {
+    this.packages.set(name, {
+      name: name,
+      version: info.version ?? null,
+      resolved: info.resolved ?? null,
+      integrity: info.integrity ?? null,
+      dev: Boolean(info.dev || info.devOptional),
+      optional: Boolean(info.optional)
+    });
+  }
+
+  static fromJSON(json) {
+    return new this().fromJSON(json);
+  }
+
+  /**
+   * Read package-lock.json of the project.
+   * @param {String} dirname
+   * @returns {Promise<PackageLock|null>}
+   */
+
+  static async fromDirectory(dirname) {
+    const filename = path.join(dirname, LOCK_FILE);
+
+    if (!await fs.exists(filename))
+      return null;
+
+    const json = JSON.parse(await fs.readFile(filename));
+
+    return this.fromJSON(json);
+  }
+}
+
+/**
+ * Compare SRI strings, they can list several hashes.
+ * Old lock files can have sha1 only, which can't be compared to sha512.
+ * @param {String} locked
+ * @param {String} expected
+ * @returns {Boolean|null} - null if there's no common algorithm.
+ */
+
+function integrityMatches(locked, expected) {
+  const parse = (sri) => {
+    const hashes = new Map();
+
+    for (const hash of sri.trim().split(/\s+/)) {
+      const [algo] = hash.split('-', 1);
+      hashes.set(algo, hash);
+    }
+
+    return hashes;
+  };
+
+  const lockedHashes = parse(locked);
+  let compared = false;
+
+  for (const [algo, hash] of parse(expected)) {
+    if (!lockedHashes.has(algo))
+      continue;
+
+    if (lockedHashes.get(algo) !== hash)
+      return false;
+
+    compared = true;
+  }
+
+  return compared ? true : null;
+}
+
+exports.LOCK_FILE = LOCK_FILE;
+exports.PackageLock = PackageLock;
+exports.integrityMatches = integrityMatches;
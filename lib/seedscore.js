@@ -0,0 +1,199 @@
+/*!
+ * seedscore.js - seed scoring and selection.
+ * Copyright (c) 2026, Nodari Chkuaselidze (MIT License).
+ * https://github.com/nodech/hs-tools
+ */
+
+'use strict';
+
+const assert = require('assert');
+const semver = require('../vendor/semver');
+const {CLIError} = require('./errors');
+
+/**
+ * Relative weights, only the ratios matter.
+ */
+
+const DEFAULT_WEIGHTS = {
+  // 5 month uptime.
+  uptime: 4,
+  // Not pruned while online.
+  full: 2,
+  // Tree is not compacted while online.
+  tree: 1,
+  // Major versions behind the newest seen one.
+  version: 1,
+  // Fewer candidates in the same subnet.
+  diversity: 2
+};
+
+/**
+ * @typedef {Object} ScoreInput
+ * @property {NetAddress} addr
+ * @property {Months5Data} uptime5months
+ * @property {String} lastVersion
+ */
+
+/**
+ * @typedef {Object} SeedScore
+ * @property {Number} total - 0-100.
+ * @property {Object} parts - same keys as weights, 0-1.
+ */
+
+class SeedScorer {
+  /**
+   * @param {Object} options
+   * @param {Function} [options.Error]
+   * @param {Object} [options.weights] - overrides the default weights.
+   */
+
+  constructor(options = {}) {
+    assert(typeof options === 'object');
+
+    this.Error = options.Error || CLIError;
+    this.weights = {...DEFAULT_WEIGHTS};
+
+    if (options.weights != null) {
+      if (typeof options.weights !== 'object')
+        throw new this.Error('Seed weights must be an object.');
+
+      for (const [name, weight] of Object.entries(options.weights)) {
+        if (!Object.hasOwn(DEFAULT_WEIGHTS, name)) {
+          throw new this.Error(`Unknown seed weight "${name}", `
+            + `available: ${Object.keys(DEFAULT_WEIGHTS).join(', ')}.`);
+        }
+
+        if (typeof weight !== 'number' || !(weight >= 0))
+          throw new this.Error(`Seed weight "${name}" must be >= 0.`);
+
+        this.weights[name] = weight;
+      }
+    }
+
+    const sum = Object.values(this.weights).reduce((a, b) => a + b, 0);
+
+    if (sum === 0)
+      throw new this.Error('At least one seed weight must be set.');
+  }
+
+  /**
+   * Score the candidates against each other,
+   * version and diversity depend on the whole list.
+   * @param {ScoreInput[]} inputs
+   * @returns {SeedScore[]}
+   */
+
+  score(inputs) {
+    const subnets = new Map();
+    let newest = null;
+
+    for (const {addr, lastVersion} of inputs) {
+      const version = semver.coerce(lastVersion);
+
+      if (version && (!newest || version.major > newest))
+        newest = version.major;
+
+      addHost(subnets, addr);
+    }
+
+    const weightSum = Object.values(this.weights).reduce((a, b) => a + b, 0);
+
+    return inputs.map(({addr, uptime5months, lastVersion}) => {
+      const months5 = uptime5months;
+      const version = semver.coerce(lastVersion);
+
+      const parts = {
+        uptime: months5.onlinePerc / 100,
+        full: months5.fullPerc / 100,
+        tree: months5.fullTreePerc / 100,
+        version: version ? 1 / (1 + newest - version.major) : 0,
+        diversity: 1 / subnets.get(getSubnet(addr)).size
+      };
+
+      let total = 0;
+
+      for (const [name, weight] of Object.entries(this.weights))
+        total += parts[name] * weight;
+
+      return {
+        total: (total / weightSum) * 100,
+        parts: parts
+      };
+    });
+  }
+}
+
+/**
+ * Best scoring candidates with the subnet caps, seeds that
+ * are already in the list take their subnet slots first.
+ * @param {Object[]} candidates - {addr, score}, sorted by score.
+ * @param {Object} options
+ * @param {Number} [options.maxSeeds=0] - 0 for no limit.
+ * @param {Number} [options.maxPerSubnet=0] - 0 for no limit.
+ * @param {NetAddress[]} [options.taken]
+ * @returns {Object[]}
+ */
+
+function selectSeeds(candidates, options) {
+  const maxSeeds = options.maxSeeds || 0;
+  const maxPerSubnet = options.maxPerSubnet || 0;
+  const subnets = new Map();
+  const selected = [];
+
+  for (const addr of options.taken || [])
+    addHost(subnets, addr);
+
+  for (const candidate of candidates) {
+    if (maxSeeds && selected.length >= maxSeeds)
+      break;
+
+    const subnet = subnets.get(getSubnet(candidate.addr));
+
+    // Other port of the host that is already in.
+    const known = subnet && subnet.has(candidate.addr.host);
+
+    if (maxPerSubnet && !known && subnet && subnet.size >= maxPerSubnet)
+      continue;
+
+    addHost(subnets, candidate.addr);
+    selected.push(candidate);
+  }
+
+  return selected;
+}
+
+/**
+ * /16 for IPv4 and /32 for IPv6, everything else
+ * is its own subnet. ASN is not used, we don't have it.
+ * @param {NetAddress} addr
+ * @returns {String}
+ */
+
+function getSubnet(addr) {
+  if (addr.isIPv4())
+    return addr.host.split('.').slice(0, 2).join('.') + '.0.0/16';
+
+  if (addr.isIPv6())
+    return addr.toRaw().subarray(0, 4).toString('hex') + '/32';
+
+  return addr.host;
+}
+
+/**
+ * @param {Map<String, Set<String>>} subnets
+ * @param {NetAddress} addr
+ */
+
+function addHost(subnets, addr) {
+  const subnet = getSubnet(addr);
+
+  if (!subnets.has(subnet))
+    subnets.set(subnet, new Set());
+
+  subnets.get(subnet).add(addr.host);
+}
+
+exports.DEFAULT_WEIGHTS = DEFAULT_WEIGHTS;
+exports.SeedScorer = SeedScorer;
+exports.selectSeeds = selectSeeds;
+exports.getSubnet = getSubnet;
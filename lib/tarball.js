@@ -0,0 +1,116 @@
+/*!
+ * tarball.js - compare npm tarballs with the source.
+ * Copyright (c) 2026, Nodari Chkuaselidze (MIT License).
+ * https://github.com/nodech/hs-tools
+ */
+
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const util = require('util');
+const childProcess = require('child_process');
+const fs = require('bfile');
+const execFile = util.promisify(childProcess.execFile);
+
+/**
+ * @typedef {Object} TreeDiff
+ * @property {String[]} added - only in the package.
+ * @property {String[]} modified - content differs from the source.
+ * @property {String[]} missing - only in the source, e.g. tests.
+ */
+
+/**
+ * Extract gzipped npm tarball.
+ * npm tarballs have one top level directory, usually "package".
+ * @param {Buffer} data
+ * @param {String} dest - existing directory.
+ * @returns {Promise<String>} - package root.
+ */
+
+async function extract(data, dest) {
+  assert(Buffer.isBuffer(data));
+
+  const file = path.join(dest, 'package.tgz');
+  const root = path.join(dest, 'contents');
+
+  await fs.writeFile(file, data);
+  await fs.mkdir(root);
+  await execFile('tar', ['-xzf', file, '-C', root]);
+
+  const entries = await fs.readdir(root);
+
+  if (entries.length !== 1)
+    return root;
+
+  return path.join(root, entries[0]);
+}
+
+/**
+ * List files relative to the directory.
+ * @param {String} dir
+ * @returns {Promise<String[]>}
+ */
+
+async function listFiles(dir) {
+  const files = [];
+
+  const walk = async (current) => {
+    const entries = await fs.readdir(current, { withFileTypes: true });
+
+    for (const entry of entries) {
+      const file = path.join(current, entry.name);
+
+      if (entry.isDirectory())
+        await walk(file);
+      else
+        files.push(path.relative(dir, file));
+    }
+  };
+
+  await walk(dir);
+
+  return files.sort();
+}
+
+/**
+ * Compare files of the package to the source.
+ * @param {String} pkgDir - extracted tarball.
+ * @param {String} srcDir - extracted git archive.
+ * @returns {Promise<TreeDiff>}
+ */
+
+async function diffTrees(pkgDir, srcDir) {
+  const pkgFiles = await listFiles(pkgDir);
+  const srcFiles = new Set(await listFiles(srcDir));
+
+  /** @type {TreeDiff} */
+  const diff = {
+    added: [],
+    modified: [],
+    missing: []
+  };
+
+  for (const file of pkgFiles) {
+    if (!srcFiles.has(file)) {
+      diff.added.push(file);
+      continue;
+    }
+
+    srcFiles.delete(file);
+
+    const pkgData = await fs.readFile(path.join(pkgDir, file));
+    const srcData = await fs.readFile(path.join(srcDir, file));
+
+    if (!pkgData.equals(srcData))
+      diff.modified.push(file);
+  }
+
+  diff.missing = Array.from(srcFiles);
+
+  return diff;
+}
+
+exports.extract = extract;
+exports.listFiles = listFiles;
+exports.diffTrees = diffTrees;
@@ -76,6 +76,15 @@ class Renderer {
   async draw(tasks) {
     ;
   }
+
+  /**
+   * Forget what was drawn, next draw starts on a new line.
+   * @returns {void}
+   */
+
+  reset() {
+    ;
+  }
 }
 
 class TextRenderer extends Renderer {
@@ -154,6 +163,10 @@ class UIRenderer extends Renderer {
     this._output = null;
   }
 
+  reset() {
+    this._output = null;
+  }
+
   loading() {
     return `${loading[this.frame % loading.length]}`;
   }
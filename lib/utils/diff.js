@@ -0,0 +1,159 @@
+/*!
+ * diff.js - line diffs.
+ * Copyright (c) 2026, Nodari Chkuaselidze (MIT License).
+ * https://github.com/nodech/hs-tools
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+/**
+ * @typedef {Object} DiffOp
+ * @property {String} op - ' ', '-' or '+'.
+ * @property {String} line
+ */
+
+/**
+ * Longest common subsequence of the lines, the files we diff are small.
+ * @param {String[]} a
+ * @param {String[]} b
+ * @returns {DiffOp[]}
+ */
+
+function diffOps(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const lcs = [];
+
+  for (let i = 0; i <= n; i++)
+    lcs.push(new Uint32Array(m + 1));
+
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      if (a[i] === b[j])
+        lcs[i][j] = lcs[i + 1][j + 1] + 1;
+      else
+        lcs[i][j] = Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < n || j < m) {
+    if (i < n && j < m && a[i] === b[j]) {
+      ops.push({ op: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (j < m && (i === n || lcs[i][j + 1] > lcs[i + 1][j])) {
+      ops.push({ op: '+', line: b[j] });
+      j++;
+    } else {
+      ops.push({ op: '-', line: a[i] });
+      i++;
+    }
+  }
+
+  return ops;
+}
+
+/**
+ * @param {String} text
+ * @returns {String[]}
+ */
+
+function splitLines(text) {
+  const lines = text.split('\n');
+
+  if (text.endsWith('\n'))
+    lines.pop();
+
+  return lines;
+}
+
+/**
+ * Unified diff that git apply and patch understand.
+ * @param {String} before
+ * @param {String} after
+ * @param {Object} [options]
+ * @param {String} [options.from=a] - old file name.
+ * @param {String} [options.to=b] - new file name.
+ * @param {Number} [options.context=3]
+ * @returns {String} - empty if nothing changed.
+ */
+
+function unified(before, after, options = {}) {
+  const from = options.from || 'a';
+  const to = options.to || 'b';
+  const context = options.context ?? 3;
+
+  assert(typeof before === 'string');
+  assert(typeof after === 'string');
+
+  const ops = diffOps(splitLines(before), splitLines(after));
+  const changes = [];
+
+  for (const [i, {op}] of ops.entries()) {
+    if (op !== ' ')
+      changes.push(i);
+  }
+
+  if (changes.length === 0)
+    return '';
+
+  // Changes closer than two contexts share the hunk.
+  const groups = [[changes[0], changes[0]]];
+
+  for (const index of changes.slice(1)) {
+    const last = groups[groups.length - 1];
+
+    if (index - last[1] <= context * 2 + 1)
+      last[1] = index;
+    else
+      groups.push([index, index]);
+  }
+
+  const lines = [`--- ${from}`, `+++ ${to}`];
+
+  // Line numbers before the current op.
+  let aLine = 0;
+  let bLine = 0;
+  let pos = 0;
+
+  const advance = (end) => {
+    for (; pos < end; pos++) {
+      if (ops[pos].op !== '+')
+        aLine++;
+
+      if (ops[pos].op !== '-')
+        bLine++;
+    }
+  };
+
+  for (const [first, last] of groups) {
+    const start = Math.max(0, first - context);
+    const end = Math.min(ops.length, last + context + 1);
+
+    advance(start);
+
+    const hunk = ops.slice(start, end);
+    const aCount = hunk.filter(({op}) => op !== '+').length;
+    const bCount = hunk.filter(({op}) => op !== '-').length;
+    const aStart = aCount ? aLine + 1 : aLine;
+    const bStart = bCount ? bLine + 1 : bLine;
+
+    lines.push(`@@ -${aStart},${aCount} +${bStart},${bCount} @@`);
+
+    for (const {op, line} of hunk)
+      lines.push(`${op}${line}`);
+
+    advance(end);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+exports.diffOps = diffOps;
+exports.unified = unified;
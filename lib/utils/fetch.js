@@ -17,28 +17,94 @@ const fetchUtils = exports;
  * Fetch the thing..
  * @param {Object} opts
  * @param {Error} opts.Error
+ * @param {RateLimit} [opts.rateLimit] - wait and retry when rate limited.
  * @returns {Promise<Object>}
  */
 
 fetchUtils.fetch = async function fetch(opts) {
+  const res = await fetchUtils.fetchResponse(opts);
+
+  return fetchUtils.parseResponse(res, opts);
+};
+
+/**
+ * Fetch the response, retry if rate limited.
+ * @param {Object} opts
+ * @param {Error} opts.Error
+ * @param {RateLimit} [opts.rateLimit] - wait and retry when rate limited.
+ * @returns {Promise<Object>} - brq response.
+ */
+
+fetchUtils.fetchResponse = async function fetchResponse(opts) {
   assert(opts.Error != null);
+  const {rateLimit} = opts;
   let res = null;
 
-  try {
-    res = await brq({
-      agent: 'hs-tools',
-      ...opts
-    });
-  } catch (e) {
-    throw new opts.Error(`Failed request ${opts.method} for ${opts.url}.`
-      + e.message);
+  for (let attempt = 0; ; attempt++) {
+    if (rateLimit)
+      await rateLimit.ensure();
+
+    res = await fetchUtils.request(opts);
+
+    if (!rateLimit)
+      break;
+
+    rateLimit.update(res.headers);
+
+    const {statusCode} = res;
+
+    // Only rate limit errors need the message.
+    if (statusCode !== 403 && statusCode !== 429)
+      break;
+
+    const delay = rateLimit.getRetryDelay(
+      statusCode,
+      res.headers,
+      getMessage(res),
+      attempt
+    );
+
+    if (delay === -1)
+      break;
+
+    await rateLimit.wait(delay);
   }
 
+  return res;
+};
+
+/**
+ * Download the raw body.
+ * @param {Object} opts
+ * @param {Error} opts.Error
+ * @returns {Promise<Buffer>}
+ */
+
+fetchUtils.download = async function download(opts) {
+  const res = await fetchUtils.fetchResponse(opts);
+
+  if (res.statusCode < 200 || res.statusCode >= 300) {
+    throw new opts.Error(`Received wrong status code: ${res.statusCode}`
+      + ` for ${opts.url}.`);
+  }
+
+  return res.buffer();
+};
+
+/**
+ * Get JSON from the response.
+ * @param {Object} res - brq response.
+ * @param {Object} opts
+ * @param {Error} opts.Error
+ * @returns {Object|null} - null if not found.
+ */
+
+fetchUtils.parseResponse = function parseResponse(res, opts) {
   if (res.statusCode === 404)
     return null;
 
   if (res.statusCode < 200 || res.statusCode >= 300) {
-    const msg = res.json().message;
+    const msg = getMessage(res);
     throw new opts.Error(`Received wrong status code: ${res.statusCode},`
       + ` message: ${msg}`);
   }
@@ -50,6 +116,25 @@ fetchUtils.fetch = async function fetch(opts) {
   }
 };
 
+/**
+ * Send the request.
+ * @param {Object} opts
+ * @param {Error} opts.Error
+ * @returns {Promise<Object>} - brq response.
+ */
+
+fetchUtils.request = async function request(opts) {
+  try {
+    return await brq({
+      agent: 'hs-tools',
+      ...opts
+    });
+  } catch (e) {
+    throw new opts.Error(`Failed request ${opts.method} for ${opts.url}.`
+      + e.message);
+  }
+};
+
 /**
  * Download with rate limiter.
  * @param {Semaphore} sem
@@ -69,6 +154,8 @@ fetchUtils.fetchSem = async function fetchSem(sem, opts) {
  * Download/check cache
  * @param {Cache} cache
  * @param {Object} opts
+ * @param {Function} [opts.transform] - (json, res) -> what to cache.
+ * @param {Boolean} [opts.revalidate] - check fresh entries as well.
  * @returns {Promise<[Object, Boolean]>} - [response, cached]
  */
 
@@ -79,22 +166,126 @@ fetchUtils.fetchCached = async function fetchCached(cache, opts) {
   assert(typeof opts.expire === 'number' || typeof opts.expire === 'function');
   assert(opts.Error != null);
 
-  const cached = await cache.getCache(opts.cacheName, opts.fileName);
+  const cached = await cache.getCacheEntry(opts.cacheName, opts.fileName);
 
-  if (cached != null)
-    return [JSON.parse(cached), true];
+  if (cached != null && !cached.expired && !opts.revalidate)
+    return [JSON.parse(cached.data), true];
 
-  let json;
+  let reqOpts = opts;
+
+  // Expired, but we can ask if it has changed.
+  if (cached != null) {
+    reqOpts = {
+      ...opts,
+      headers: {
+        ...opts.headers,
+        ...getConditionalHeaders(cached.entry)
+      }
+    };
+  }
+
+  let res;
 
   if (opts.semaphore != null) {
-    json = await fetchUtils.fetchSem(opts.semaphore, opts);
+    assert(opts.semaphore instanceof Semaphore);
+    res = await opts.semaphore.do(() => fetchUtils.fetchResponse(reqOpts));
   } else {
-    json = await fetchUtils.fetch(opts);
+    res = await fetchUtils.fetchResponse(reqOpts);
+  }
+
+  if (res.statusCode === 304 && cached != null) {
+    const json = JSON.parse(cached.data);
+    const expire = getExpire(opts, json);
+
+    await cache.refresh(opts.cacheName, opts.fileName, expire);
+
+    return [json, true];
   }
 
+  let json = fetchUtils.parseResponse(res, opts);
+
   if (json == null)
     throw new Error('Response is null.');
 
+  if (opts.transform != null)
+    json = opts.transform(json, res);
+
+  const expire = getExpire(opts, json);
+  const raw = JSON.stringify(json, null, 2);
+
+  await cache.cache(opts.cacheName, opts.fileName, raw, expire, {
+    etag: res.headers['etag'],
+    lastModified: res.headers['last-modified']
+  });
+
+  return [json, false];
+};
+
+/**
+ * Iterate over the pages following the Link header,
+ * each page is cached separately.
+ * @param {Cache} cache
+ * @param {Object} opts - same as fetchCached.
+ * @param {Function} opts.fileName - (page) -> cache file name.
+ * @returns {AsyncGenerator<[Object[], Boolean]>} - [items, cached]
+ */
+
+fetchUtils.fetchPagesCached = async function* fetchPagesCached(cache, opts) {
+  assert(typeof opts.fileName === 'function');
+
+  let pageOpts = opts;
+
+  for (let page = 1; ; page++) {
+    const [json, cached] = await fetchUtils.fetchCached(cache, {
+      ...pageOpts,
+      fileName: opts.fileName(page),
+      transform: (items, res) => ({
+        next: getNextLink(res.headers['link']),
+        items: items
+      })
+    });
+
+    yield [json.items, cached];
+
+    if (!json.next)
+      break;
+
+    // next link already contains the query.
+    pageOpts = {
+      ...opts,
+      url: json.next,
+      query: null
+    };
+  }
+};
+
+/**
+ * Collect items from all pages.
+ * @param {AsyncGenerator<[Object[], Boolean]>} pages
+ * @returns {Promise<[Object[], Boolean]>} - [items, cached]
+ */
+
+fetchUtils.collectPages = async function collectPages(pages) {
+  const items = [];
+  let cached = true;
+
+  for await (const [page, pageCached] of pages) {
+    items.push(...page);
+    cached = cached && pageCached;
+  }
+
+  return [items, cached];
+};
+
+/**
+ * Get expire time for the cache.
+ * @param {Object} opts
+ * @param {Number|Function} opts.expire
+ * @param {Object} json
+ * @returns {Number}
+ */
+
+function getExpire(opts, json) {
   let expire = 1;
 
   if (typeof opts.expire === 'number')
@@ -103,8 +294,57 @@ fetchUtils.fetchCached = async function fetchCached(cache, opts) {
   if (typeof opts.expire === 'function')
     expire = opts.expire(json);
 
-  const raw = JSON.stringify(json, null, 2);
-  await cache.cache(opts.cacheName, opts.fileName, raw, expire);
+  return expire;
+}
 
-  return [json, false];
-};
+/**
+ * Get headers for the conditional request.
+ * @param {CacheEntry} entry
+ * @returns {Object}
+ */
+
+function getConditionalHeaders(entry) {
+  const headers = {};
+
+  if (entry.etag != null)
+    headers['If-None-Match'] = entry.etag;
+
+  if (entry.lastModified != null)
+    headers['If-Modified-Since'] = entry.lastModified;
+
+  return headers;
+}
+
+/**
+ * Get next page URL from the Link header.
+ * @param {String} [link]
+ * @returns {String|null}
+ */
+
+function getNextLink(link) {
+  if (!link)
+    return null;
+
+  for (const part of link.split(',')) {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="next"/);
+
+    if (match)
+      return match[1];
+  }
+
+  return null;
+}
+
+/**
+ * Get error message from the response body.
+ * @param {Object} res
+ * @returns {String}
+ */
+
+function getMessage(res) {
+  try {
+    return res.json().message || '';
+  } catch (e) {
+    return '';
+  }
+}
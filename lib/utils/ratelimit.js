@@ -0,0 +1,186 @@
+/*!
+ * ratelimit.js - track API rate limits.
+ * Copyright (c) 2026, Nodari Chkuaselidze (MIT License).
+ * https://github.com/nodech/hs-tools
+ */
+
+'use strict';
+
+const assert = require('assert');
+const EventEmitter = require('events');
+const {Semaphore} = require('./semaphore');
+
+const A_SECOND = 1000;
+const A_MINUTE = 60 * A_SECOND;
+
+/**
+ * Tracks X-RateLimit-* headers and decides how long to wait
+ * before retrying rate limited requests. While waiting, the
+ * semaphore is paused so queued requests do not start.
+ * @property {Number} limit
+ * @property {Number} remaining
+ * @property {Number} reset - unix time in seconds.
+ * @emits RateLimit#update
+ * @emits RateLimit#wait - (ms)
+ * @emits RateLimit#resume
+ */
+
+class RateLimit extends EventEmitter {
+  constructor(options) {
+    super();
+
+    this.semaphore = null;
+    this.maxRetries = 5;
+    this.backoff = A_MINUTE;
+    this.maxBackoff = 15 * A_MINUTE;
+
+    this.limit = -1;
+    this.remaining = -1;
+    this.reset = 0;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  fromOptions(options) {
+    assert(typeof options === 'object');
+
+    if (options.semaphore != null) {
+      assert(options.semaphore instanceof Semaphore);
+      this.semaphore = options.semaphore;
+    }
+
+    if (options.maxRetries != null) {
+      assert(typeof options.maxRetries === 'number');
+      this.maxRetries = options.maxRetries;
+    }
+
+    if (options.backoff != null) {
+      assert(typeof options.backoff === 'number');
+      this.backoff = options.backoff;
+    }
+
+    if (options.maxBackoff != null) {
+      assert(typeof options.maxBackoff === 'number');
+      this.maxBackoff = options.maxBackoff;
+    }
+
+    return this;
+  }
+
+  get known() {
+    return this.limit !== -1;
+  }
+
+  /**
+   * Update limits from the response headers.
+   * @param {Object} headers
+   */
+
+  update(headers) {
+    if (!headers || headers['x-ratelimit-remaining'] == null)
+      return;
+
+    this.limit = Number(headers['x-ratelimit-limit']);
+    this.remaining = Number(headers['x-ratelimit-remaining']);
+    this.reset = Number(headers['x-ratelimit-reset']);
+
+    this.emit('update');
+  }
+
+  /**
+   * How long to wait until reset, if we have run out.
+   * @returns {Number} - ms
+   */
+
+  untilReset() {
+    if (this.remaining !== 0)
+      return 0;
+
+    return Math.max(0, this.reset * A_SECOND - Date.now()) + A_SECOND;
+  }
+
+  /**
+   * Get delay before retrying the response.
+   * @param {Number} statusCode
+   * @param {Object} headers
+   * @param {String} message - error message from the body.
+   * @param {Number} attempt - number of retries so far.
+   * @returns {Number} - ms to wait, -1 if it should not be retried.
+   */
+
+  getRetryDelay(statusCode, headers, message, attempt) {
+    if (statusCode !== 403 && statusCode !== 429)
+      return -1;
+
+    if (attempt >= this.maxRetries)
+      return -1;
+
+    const retryAfter = Number(headers['retry-after']);
+
+    if (retryAfter > 0)
+      return retryAfter * A_SECOND;
+
+    if (headers['x-ratelimit-remaining'] === '0')
+      return this.untilReset();
+
+    // Secondary rate limits do not always come with retry-after.
+    if (/secondary rate limit/i.test(message) || statusCode === 429)
+      return Math.min(this.backoff * (2 ** attempt), this.maxBackoff);
+
+    return -1;
+  }
+
+  /**
+   * Wait before sending the request if we have run out.
+   * @returns {Promise}
+   */
+
+  async ensure() {
+    const ms = this.untilReset();
+
+    if (ms === 0)
+      return;
+
+    await this.wait(ms);
+  }
+
+  /**
+   * Pause the semaphore queue for ms.
+   * @param {Number} ms
+   * @returns {Promise}
+   */
+
+  async wait(ms) {
+    this.emit('wait', ms);
+
+    if (this.semaphore)
+      this.semaphore.pause();
+
+    try {
+      await sleep(ms);
+    } finally {
+      if (this.semaphore)
+        this.semaphore.resume();
+    }
+
+    // we don't know until the next response.
+    if (this.remaining === 0)
+      this.remaining = -1;
+
+    this.emit('resume');
+  }
+
+  toString() {
+    if (!this.known)
+      return '';
+
+    return `Rate limit: ${this.remaining}/${this.limit} left.`;
+  }
+}
+
+async function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+exports.RateLimit = RateLimit;
@@ -15,6 +15,7 @@ class SimpleSemaphore {
     this.jobs = [];
     this.max = max;
     this.active = 0;
+    this.paused = 0;
   }
 
   async do(job) {
@@ -24,7 +25,35 @@ class SimpleSemaphore {
     });
   }
 
+  /**
+   * Stop starting new jobs, running ones are not affected.
+   * Can be nested, every pause needs a resume.
+   */
+
+  pause() {
+    this.paused++;
+  }
+
+  /**
+   * Resume starting jobs.
+   */
+
+  resume() {
+    assert(this.paused > 0, 'Semaphore is not paused.');
+
+    this.paused--;
+
+    if (this.paused !== 0)
+      return;
+
+    while (this.active < this.max && this.jobs.length !== 0)
+      this.execute();
+  }
+
   execute() {
+    if (this.paused !== 0)
+      return;
+
     if (this.active === this.max)
       return;
 
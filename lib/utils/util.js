@@ -6,12 +6,11 @@
 
 'use strict';
 
-const nodeUtil = require('util');
 const readline = require('readline');
 const fs = require('bfile');
 const Config = require('bcfg');
-const git = require('../api/git');
-const npm = require('../api/npm');
+const git = require('../api/git-low');
+const npm = require('../api/npm-low');
 const semver = require('../../vendor/semver');
 const ansi = require('./ansi');
 
@@ -40,13 +39,19 @@ util.getConfigs = (options, configs) => {
  */
 
 util.question = async (question) => {
+  // Input can end before the answer, e.g. when piped.
+  if (process.stdin.readableEnded)
+    return '';
+
   const rl = readline.createInterface({
     input: process.stdin,
     output: process.stdout
   });
 
-  const rlQuestion = nodeUtil.promisify(rl.question).bind(rl);
-  const answer = await rlQuestion(question);
+  const answer = await new Promise((resolve) => {
+    rl.once('close', () => resolve(''));
+    rl.question(question, resolve);
+  });
 
   rl.close();
   return answer;